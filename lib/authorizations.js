@@ -3,9 +3,9 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as errors from './errors.js';
 import assert from 'assert-plus';
-
-const {util: {BedrockError}} = bedrock;
+import {getPage} from './pagination.js';
 
 const COLLECTION_NAME = 'zcap-storage-authorization';
 
@@ -35,6 +35,12 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: COLLECTION_NAME,
     fields: {controller: 1, id: 1},
     options: {unique: true}
+  }, {
+    // cover queries by parent capability; allows the descendants of a
+    // capability to be found when revoking it with `cascade`
+    collection: COLLECTION_NAME,
+    fields: {'authorization.capability.parentCapability': 1},
+    options: {unique: false}
   }]);
 });
 
@@ -87,12 +93,11 @@ export async function insert({controller, capability} = {}) {
     if(!database.isDuplicateError(e)) {
       throw e;
     }
-    throw new BedrockError(
-      'Duplicate authorization capability.',
-      'DuplicateError', {
-        public: true,
-        httpStatusCode: 409
-      }, e);
+    throw errors.createDuplicateError({
+      message: 'Duplicate authorization capability.',
+      details: {controller, id: capability.id, invocationTarget},
+      cause: e
+    });
   }
 }
 
@@ -155,10 +160,10 @@ export async function get({
 
   const record = await collection.findOne(query, {projection});
   if(!record) {
-    throw new BedrockError(
-      'Authorization capability not found.',
-      'NotFoundError',
-      {id, invocationTarget, controller, httpStatusCode: 404, public: true});
+    throw errors.createNotFoundError({
+      message: 'Authorization capability not found.',
+      details: {id, invocationTarget, controller}
+    });
   }
 
   return record;
@@ -189,6 +194,55 @@ export async function find({
   return collection.find(query, options).toArray();
 }
 
+/**
+ * Retrieves the authorizations from storage that match the given query one
+ * page at a time. Records are sorted by (hashed) `invocationTarget` and `id`
+ * if the query is for an `invocationTarget` but not a `controller`, otherwise
+ * by (hashed) `controller` and `id`, so that queries for either are covered
+ * by an index.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return.
+ * @param {string} [options.cursor] - The `cursor` from a previous page.
+ * @param {object} [options.projection] - An optional projection.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to `{records, cursor}`
+ *   where `cursor` is passed to get the next page or is `null` if there are
+ *   no more records, or an ExplainObject if `explain=true`.
+ */
+export async function findPage({
+  query = {}, limit = 100, cursor, projection, explain = false
+} = {}) {
+  const sort = query.invocationTarget !== undefined &&
+    query.controller === undefined ?
+    ['invocationTarget', 'id'] : ['controller', 'id'];
+  return getPage({
+    collection: database.collections[COLLECTION_NAME],
+    query, sort, limit, cursor, projection, explain
+  });
+}
+
+/**
+ * Iterates over the authorizations in storage that match the given query
+ * without loading them all into memory at once; records are read from the
+ * database in batches as they are consumed. Use `Readable.from()` to get a
+ * stream.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {object} [options.options = {}] - Options (eg: 'sort', 'limit',
+ *   'projection', 'batchSize').
+ *
+ * @yields {object} Each record that matches the query.
+ */
+export async function* iterate({query = {}, options = {}} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  yield* collection.find(query, options);
+}
+
 /**
  * Removes an authorization from storage.
  *
@@ -0,0 +1,128 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {getCaches, invalidate} from './invalidation.js';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+
+export {
+  createChangeStreamTransport,
+  createPollingTransport,
+  setTransport as setInvalidationTransport
+} from './invalidation.js';
+
+let STATS_TIMER = null;
+
+bedrock.events.on('bedrock.ready', async () => {
+  const {interval} = bedrock.config['zcap-storage'].logging.cacheStats;
+  if(interval) {
+    _scheduleReport({interval});
+  }
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  clearTimeout(STATS_TIMER);
+  STATS_TIMER = null;
+});
+
+/**
+ * Clears every entry, or only the given entries, of every cache, or only the
+ * named caches, e.g., after the database has been changed directly. The
+ * clear is published to every other instance via the cache invalidation
+ * transport, if it publishes invalidations (see
+ * `setInvalidationTransport()`).
+ *
+ * Entries are identified as they are when looked up: by
+ * `{controller, id, referenceId}` (`id` or `referenceId` may be omitted) for
+ * the `zcap` and `zcapNotFound` caches, by `{controller, delegate}` for the
+ * `policy` and `policyNotFound` caches, and by a capability summary,
+ * `{capabilityId, delegator, rootTarget}` (`rootTarget` may be omitted), for
+ * the `revocation` cache, where the cached wildcard revocations that could
+ * apply to the capability are cleared as well.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {Array<string>} [options.names] - The names of the caches to clear;
+ *   defaults to every cache; a cache that is disabled is not cleared.
+ * @param {Array<object>} [options.entries] - The entries to clear from each
+ *   named cache; `names` must be given; defaults to every entry.
+ *
+ * @returns {Promise<undefined>} Resolves once the caches are cleared.
+ */
+export async function clear({names, entries} = {}) {
+  assert.optionalArrayOfString(names, 'names');
+  assert.optionalArrayOfObject(entries, 'entries');
+  if(entries && !names) {
+    throw new TypeError('"names" must be given with "entries".');
+  }
+
+  const caches = getCaches().filter(
+    ({name}) => names === undefined || names.includes(name));
+  await Promise.all(caches.map(({name, getEntryKeys}) => invalidate({
+    name,
+    keys: entries ? entries.flatMap(entry => getEntryKeys({entry})) : null
+  })));
+}
+
+/**
+ * Gets the statistics of each cache on this instance: `zcap`, `policy`, and
+ * `revocation` and the `zcapNotFound` and `policyNotFound` caches of zcaps
+ * and policies that were not found. Counters are cumulative since startup.
+ *
+ * @returns {object} An object with `{size, max, ttl, hits, misses,
+ *   evictions}` for each cache by name; `hits` counts lookups served from the
+ *   cache and `misses` lookups that were not, where a miss of a "not found"
+ *   cache counts a lookup that found nothing in the database, and
+ *   `evictions` counts entries removed to make room for others (a cache that
+ *   often evicts entries may benefit from a larger `max`).
+ */
+export function getStats() {
+  const stats = {};
+  for(const {
+    name, cache, stats: {hits, misses, evictions}
+  } of getCaches()) {
+    const {size, max, ttl} = cache.cache;
+    stats[name] = {size, max, ttl, hits, misses, evictions};
+  }
+  return stats;
+}
+
+/**
+ * Reports the statistics of each cache on this instance (see `getStats()`)
+ * by logging them and emitting them via the
+ * `bedrock-zcap-storage.caches.stats` event with `{stats}` so they can be
+ * published to a metrics system. Reports are made periodically if
+ * `bedrock.config['zcap-storage'].logging.cacheStats.interval` is set.
+ *
+ * @returns {Promise<object>} Resolves to the reported statistics once every
+ *   event listener has run.
+ */
+export async function reportStats() {
+  const stats = getStats();
+  const {logName} = bedrock.config['zcap-storage'].logging.cacheStats;
+  for(const [name, cacheStats] of Object.entries(stats)) {
+    logger.info('Cache statistics.', {
+      logName,
+      event: 'cache-stats',
+      cache: name,
+      ...cacheStats
+    });
+  }
+  await bedrock.events.emit('bedrock-zcap-storage.caches.stats', {stats});
+  return stats;
+}
+
+function _scheduleReport({interval}) {
+  STATS_TIMER = setTimeout(async () => {
+    try {
+      await reportStats();
+    } catch(error) {
+      logger.error('Could not report cache statistics.', {error});
+    }
+    if(STATS_TIMER !== null) {
+      _scheduleReport({interval});
+    }
+  }, interval);
+  // do not keep the process alive just to report
+  STATS_TIMER.unref?.();
+}
@@ -18,9 +18,90 @@ cfg.caches = {
   zcap: {
     max: 1000,
     ttl: 5 * 60 * 1000
+  },
+  // caches of zcaps and policies that were not found to prevent repeated
+  // look ups of missing zcaps or policies from reaching the database; an
+  // insert evicts any entry for the inserted zcap or policy, but only on
+  // other instances if `cacheInvalidation` is configured, otherwise they may
+  // not see the zcap or policy until the entry expires; `null` to disable,
+  // e.g., `{max: 1000, ttl: 30 * 1000}` to enable
+  zcapNotFound: null,
+  policyNotFound: null
+};
+
+cfg.cacheInvalidation = {
+  // how cache invalidations are distributed to other instances so that, e.g.,
+  // a revocation is honored by every instance as soon as it is inserted:
+  // `'changeStream'` watches the collections backing each cache via MongoDB
+  // change streams (requires a replica set); `'polling'` publishes
+  // invalidations to a collection that every instance polls (for deployments
+  // without a replica set); `null` to not distribute them, in which case
+  // stale cache entries remain until they expire; a custom transport can be
+  // set via `caches.setInvalidationTransport()`
+  transport: null,
+  // options for the `'changeStream'` transport
+  changeStream: {
+    // delay before first reopening a change stream that closed because of an
+    // error in milliseconds; doubles on every consecutive failure
+    minRetryDelay: 1000,
+    // maximum delay before reopening a change stream in milliseconds
+    maxRetryDelay: 60000
+  },
+  // options for the `'polling'` transport
+  polling: {
+    // how often to poll for invalidations in milliseconds
+    interval: 5000,
+    // maximum difference between the clocks of any two instances in
+    // milliseconds
+    clockSkew: 60000
   }
 };
 
+cfg.inspectCapabilityChain = {
+  // delegated zcaps that expire within this many milliseconds are not checked
+  // for revocation by `helpers.inspectCapabilityChain()`; this avoids database
+  // look ups for zcaps that will expire before a revocation would matter; set
+  // to, e.g., the clock skew allowed by zcap verification to enable; `0`
+  // always checks for revocation
+  shortLivedThreshold: 0
+};
+
+cfg.revocations = {
+  quota: {
+    // maximum number of revocations that may be stored per `rootTarget`;
+    // `null` for no limit
+    maxRevocations: null,
+    // per `rootTarget` overrides of `maxRevocations`, e.g.,
+    // `{'https://example.com/edvs/123': 1000}`
+    rootTargets: {}
+  },
+  retention: {
+    // milliseconds to keep a revocation after the revoked zcap expires; a
+    // revocation must not expire too soon to prevent conflicts with
+    // expiration-related grace periods elsewhere in the stack (e.g., clock
+    // skew); default: 1 day
+    gracePeriod: 24 * 60 * 60 * 1000,
+    // milliseconds to keep a revocation of a zcap that does not expire,
+    // starting from when the revocation was created; `null` to keep it
+    // forever
+    maxRetention: null
+  }
+};
+
+cfg.refresh = {
+  // how often, in milliseconds, to scan for stored zcaps to refresh once a
+  // refresher is set via `refresh.setRefresher()`; set to `false` to only
+  // refresh zcaps via `refresh.refreshZcaps()`
+  interval: 5 * 60 * 1000,
+  // refresh zcaps that expire within this many milliseconds; default: 1 day
+  threshold: 24 * 60 * 60 * 1000,
+  // the maximum number of zcaps to try to refresh per scan
+  batchSize: 100,
+  // how long, in milliseconds, to wait before trying to refresh a zcap again
+  // after it was not refreshed
+  retryInterval: 60 * 60 * 1000
+};
+
 cfg.logging = {
   // zcap expiration logging for observability / monitoring alerts
   zcapExpiration: {
@@ -37,5 +118,15 @@ cfg.logging = {
     // log events for zcaps that have already expired; set to `false` to
     // disable expired zcap logging
     logExpired: true
+  },
+  // periodic cache statistics logging (see `caches.getStats()`) for tuning
+  // `caches.*.max`
+  cacheStats: {
+    // example filter: { $.logName = "zcap-cache-stats" }
+    logName: 'zcap-cache-stats',
+    // how often, in milliseconds, to log the statistics of every cache and
+    // emit them via the `bedrock-zcap-storage.caches.stats` event; set to
+    // `false` to disable
+    interval: false
   }
 };
@@ -0,0 +1,180 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+const {util: {BedrockError}} = bedrock;
+
+// Factories for the errors thrown by this module's APIs. The `name` and
+// `httpStatusCode` of each kind of error are fixed here so that they remain
+// stable for API clients; `details` must include the keys that identify the
+// affected record (e.g., `controller` and `referenceId` for a zcap).
+
+/**
+ * Creates an error for a capability chain that includes a revoked capability.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createCapabilityRevokedError({message, details}) {
+  return _createError({
+    message, name: 'CapabilityRevokedError', httpStatusCode: 403, details
+  });
+}
+
+/**
+ * Creates an error for a capability chain that violates a zcap policy.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createCapabilityPolicyViolationError({message, details}) {
+  return _createError({
+    message, name: 'CapabilityPolicyViolationError', httpStatusCode: 403,
+    details
+  });
+}
+
+/**
+ * Creates an error for invalid data given by a client, e.g., an invalid
+ * pagination cursor.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createDataError({message, details}) {
+  return _createError({
+    message, name: 'DataError', httpStatusCode: 400, details
+  });
+}
+
+/**
+ * Creates an error for a record that could not be inserted because a record
+ * with the same identifying keys already exists.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ * @param {Error} [options.cause] - The database error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createDuplicateError({message, details, cause}) {
+  return _createError({
+    message, name: 'DuplicateError', httpStatusCode: 409, details, cause
+  });
+}
+
+/**
+ * Creates an error for a record that has expired.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createExpiredError({message, details}) {
+  return _createError({
+    message, name: 'ExpiredError', httpStatusCode: 410, details
+  });
+}
+
+/**
+ * Creates an error for a record that could not be updated because it was not
+ * found or was changed concurrently.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createInvalidStateError({message, details}) {
+  return _createError({
+    message, name: 'InvalidStateError', httpStatusCode: 409, details
+  });
+}
+
+/**
+ * Creates an error for a record that was not found.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createNotFoundError({message, details}) {
+  return _createError({
+    message, name: 'NotFoundError', httpStatusCode: 404, details
+  });
+}
+
+/**
+ * Creates an error for an operation that the requesting entity is not allowed
+ * to perform.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createNotAllowedError({message, details}) {
+  return _createError({
+    message, name: 'NotAllowedError', httpStatusCode: 403, details
+  });
+}
+
+/**
+ * Creates an error for an unexpected database failure. Its details are not
+ * public.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ * @param {Error} [options.cause] - The database error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createOperationError({message, details, cause}) {
+  return _createError({
+    message, name: 'OperationError', httpStatusCode: 500, isPublic: false,
+    details, cause
+  });
+}
+
+/**
+ * Creates an error for an insertion that would exceed a quota.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.message - The error message.
+ * @param {object} options.details - The identifying details of the error.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createQuotaExceededError({message, details}) {
+  return _createError({
+    message, name: 'QuotaExceededError', httpStatusCode: 400, details
+  });
+}
+
+function _createError({
+  message, name, httpStatusCode, isPublic = true, details, cause
+}) {
+  details = {...details, httpStatusCode};
+  if(isPublic) {
+    details.public = true;
+  }
+  return new BedrockError(message, {name, details, cause});
+}
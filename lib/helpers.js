@@ -2,26 +2,73 @@
  * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as errors from './errors.js';
+import {policies, revocations} from './storage.js';
+import {getDelegationProof} from './proofs.js';
 import {logger} from './logger.js';
-import {revocations} from './storage.js';
 
+/**
+ * Inspects a verified capability chain for revoked capabilities and for
+ * delegations that are not allowed by a zcap policy. This function is meant
+ * to be passed (via a wrapper) as the `inspectCapabilityChain` option of a
+ * zcap verification library.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array} options.capabilityChain - The capability chain, starting
+ *   with the root capability.
+ * @param {Array} options.capabilityChainMeta - The verification metadata for
+ *   each capability in the chain.
+ * @param {number} [options.shortLivedThreshold] - Delegated capabilities that
+ *   expire within this many milliseconds are only checked for wildcard
+ *   revocations; defaults to `bedrock.config['zcap-storage']
+ *   .inspectCapabilityChain.shortLivedThreshold`, `0` always checks.
+ *
+ * @returns {Promise<object>} Resolves to `{valid, error, verdict,
+ *   skippedRevocationChecks}` where `verdict.chain` has an entry for each
+ *   capability in the chain with its `index`, `capabilityId`, `delegator`,
+ *   `revoked` (`null` if not checked), `expired` and `policy` decision, and
+ *   `skippedRevocationChecks` lists the summaries of capabilities that were
+ *   only checked for wildcard revocations. If `valid` is `false`, `error` is a
+ *   `CapabilityRevokedError` or a `CapabilityPolicyViolationError` with
+ *   details identifying the offending capability.
+ */
 export async function inspectCapabilityChain({
-  capabilityChain, capabilityChainMeta
+  capabilityChain, capabilityChainMeta, shortLivedThreshold
 } = {}) {
+  if(shortLivedThreshold === undefined) {
+    const cfg = bedrock.config['zcap-storage'];
+    ({shortLivedThreshold} = cfg.inspectCapabilityChain);
+  }
+
   // check expiration status of each delegated capability in the chain and log
   // if configured; this runs before the revocation check so that expiration
   // issues are logged even if the zcap is also revoked
   _logCapabilityChainExpiration({capabilityChain});
 
-  // if capability chain has only root, there's nothing to check as root
-  // zcaps cannot be revoked
-  if(capabilityChain.length === 1) {
-    return {valid: true};
-  }
+  // build a verdict entry for every capability in the chain; the root zcap
+  // (index 0) cannot be revoked and is not subject to delegation policies,
+  // the revocation status of any other zcap is unknown until it is checked
+  const now = Date.now();
+  const chain = capabilityChain.map((capability, index) => ({
+    index,
+    capabilityId: capability.id,
+    delegator: null,
+    revoked: index === 0 ? false : null,
+    expired: _isExpired({capability, now}),
+    policy: null
+  }));
 
   // collect capability IDs and delegators for all delegated capabilities in
-  // chain (skip root) so they can be checked for revocation
+  // chain (skip root) so they can be checked for revocation and policies
+  // the root zcap's invocation target identifies the root target of the
+  // chain for wildcard revocations
+  const {invocationTarget: rootTarget} = capabilityChain[0];
   const capabilities = [];
+  const checked = [];
+  const shortLived = [];
+  const wildcardChecked = [];
+  const skippedRevocationChecks = [];
+  const delegations = [];
   for(const [i, capability] of capabilityChain.entries()) {
     // skip root zcap, it cannot be revoked
     if(i === 0) {
@@ -29,29 +76,144 @@ export async function inspectCapabilityChain({
     }
     const [{purposeResult}] = capabilityChainMeta[i].verifyResult.results;
     if(purposeResult && purposeResult.delegator) {
-      capabilities.push({
-        capabilityId: capability.id,
-        delegator: purposeResult.delegator.id,
-      });
+      const delegator = purposeResult.delegator.id;
+      const summary = {capabilityId: capability.id, delegator};
+      chain[i].delegator = delegator;
+      // include root target and creation date to check for wildcard
+      // revocations
+      const capabilitySummary = {...summary};
+      if(typeof rootTarget === 'string') {
+        capabilitySummary.rootTarget = rootTarget;
+      }
+      const created = _getCreated({capability});
+      if(created !== undefined) {
+        capabilitySummary.created = created;
+      }
+      // skip individual revocation checks for short-lived capabilities;
+      // revoking them is pointless as they will expire before a revocation
+      // would matter, but a wildcard revocation (e.g., a kill switch for a
+      // compromised delegator) must still apply to them
+      if(_isShortLived({capability, shortLivedThreshold, now})) {
+        skippedRevocationChecks.push(summary);
+        shortLived.push(capabilitySummary);
+        wildcardChecked.push(chain[i]);
+      } else {
+        capabilities.push(capabilitySummary);
+        checked.push(chain[i]);
+      }
+      // policies are keyed by delegator (policy controller) and delegate
+      // (capability controller)
+      if(typeof capability.controller === 'string') {
+        delegations.push({capability, delegator, entry: chain[i]});
+      }
     }
   }
 
-  // FIXME: concurrently check for any revocation policy for any
-  // controller/delegator in the capability chain
-  // FIXME: skip (either always or by flag / option) checking capabilities
-  // that are shortlived (TTLs that are, e.g., within the clockskew period
-  // or within some value provided via an option)
+  // concurrently check for revocations and for any delegation policy for any
+  // delegator/delegate pair in the capability chain
+  const [statuses, wildcardStatuses] = await Promise.all([
+    capabilities.length > 0 ? revocations.getStatus({capabilities}) : [],
+    shortLived.length > 0 ? revocations.getStatus({
+      capabilities: shortLived, wildcardsOnly: true
+    }) : [],
+    _checkDelegationPolicies({delegations})
+  ]);
+  for(const [i, {revoked}] of statuses.entries()) {
+    checked[i].revoked = revoked;
+  }
+  // without a wildcard revocation, the status of a short-lived capability
+  // remains unknown
+  for(const [i, {revoked}] of wildcardStatuses.entries()) {
+    if(revoked) {
+      wildcardChecked[i].revoked = true;
+    }
+  }
+  const verdict = {chain};
 
-  const revoked = await revocations.isRevoked({capabilities});
-  if(revoked) {
+  // report the first offending capability, closest to the root, preferring
+  // revocations over policy violations
+  const revokedEntry = chain.find(({revoked}) => revoked);
+  if(revokedEntry) {
+    const {index: chainIndex, capabilityId, delegator} = revokedEntry;
+    return {
+      valid: false,
+      error: errors.createCapabilityRevokedError({
+        message: 'One or more capabilities in the chain have been revoked.',
+        details: {capabilityId, delegator, chainIndex}
+      }),
+      verdict,
+      skippedRevocationChecks
+    };
+  }
+  const disallowedEntry = chain.find(({policy}) => policy?.allowed === false);
+  if(disallowedEntry) {
+    const {
+      index: chainIndex, capabilityId, delegator,
+      policy: {delegate, reason}
+    } = disallowedEntry;
     return {
       valid: false,
-      error: new Error(
-        'One or more capabilities in the chain have been revoked.')
+      error: errors.createCapabilityPolicyViolationError({
+        message: 'One or more capabilities in the chain violate a ' +
+          `delegation policy: ${reason}`,
+        details: {capabilityId, delegator, delegate, chainIndex, reason}
+      }),
+      verdict,
+      skippedRevocationChecks
     };
   }
 
-  return {valid: true};
+  return {valid: true, verdict, skippedRevocationChecks};
+}
+
+// gets the creation date of a delegated capability from its delegation proof
+function _getCreated({capability}) {
+  const proof = getDelegationProof({capability});
+  return typeof proof?.created === 'string' ? proof.created : undefined;
+}
+
+function _isExpired({capability, now}) {
+  if(capability.expires === undefined) {
+    return false;
+  }
+  return Date.parse(capability.expires) <= now;
+}
+
+function _isShortLived({capability, shortLivedThreshold, now}) {
+  if(!(shortLivedThreshold > 0) || capability.expires === undefined) {
+    return false;
+  }
+  const expires = Date.parse(capability.expires);
+  return !Number.isNaN(expires) && expires - now <= shortLivedThreshold;
+}
+
+// sets the policy decision on the verdict entry of each delegation in the
+// chain that has a zcap policy
+async function _checkDelegationPolicies({delegations}) {
+  await Promise.all(delegations.map(async ({capability, delegator, entry}) => {
+    const delegate = capability.controller;
+    let record;
+    try {
+      record = await policies.get({controller: delegator, delegate});
+    } catch(e) {
+      // no policy means no delegation restrictions
+      if(e.name === 'NotFoundError') {
+        return;
+      }
+      throw e;
+    }
+    const {policy} = record;
+    const {allowed, reason} = policies.evaluateDelegation({
+      policy, capability
+    });
+    entry.policy = {
+      controller: delegator,
+      delegate,
+      sequence: policy.sequence,
+      allowed,
+      ...(reason === undefined ? {} : {reason})
+    };
+  }));
 }
 
 // logs expiration events for capabilities in the chain based on config
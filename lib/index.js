@@ -7,4 +7,6 @@ import '@bedrock/mongodb';
 import './config.js';
 
 export * from './storage.js';
+export * as caches from './caches.js';
 export * as helpers from './helpers.js';
+export * as refresh from './refresh.js';
@@ -0,0 +1,393 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+import {LruCache} from '@digitalbazaar/lru-memoize';
+
+// registered caches, by name, that are invalidated across instances
+const CACHES = new Map();
+
+// collection of published invalidations for the `polling` transport
+const POLLING_COLLECTION_NAME = 'zcap-storage-cache-invalidation';
+
+// the transport used to distribute cache invalidations across instances
+let TRANSPORT = null;
+let READY = false;
+let STARTED = false;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([POLLING_COLLECTION_NAME]);
+  await database.createIndexes([{
+    collection: POLLING_COLLECTION_NAME,
+    fields: {'meta.created': 1},
+    options: {unique: false}
+  }, {
+    // automatically expire published invalidations
+    collection: POLLING_COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {
+      unique: false,
+      expireAfterSeconds: 0
+    }
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', async () => {
+  const {
+    transport, changeStream, polling
+  } = bedrock.config['zcap-storage'].cacheInvalidation;
+  if(TRANSPORT === null) {
+    if(transport === 'changeStream') {
+      TRANSPORT = createChangeStreamTransport(changeStream);
+    } else if(transport === 'polling') {
+      TRANSPORT = createPollingTransport(polling);
+    }
+  }
+  READY = true;
+  await _start();
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  READY = false;
+  await _stop();
+});
+
+/**
+ * Creates and registers a cache so that its entries can be invalidated
+ * across instances and its statistics can be retrieved; see
+ * `caches.getStats()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the cache.
+ * @param {object} options.options - The `LruCache` options.
+ * @param {Array<object>} [options.watches=[]] - The collections that back the
+ *   cache, each with `{collectionName, getKeys}` where `getKeys({change})`
+ *   returns the cache keys affected by a change stream event or `null` if
+ *   they cannot be determined, in which case every cache entry is evicted;
+ *   used by the `changeStream` transport.
+ * @param {Function} options.getEntryKeys - Returns the cache keys for the
+ *   entry identified by `getEntryKeys({entry})`; used by `caches.clear()`.
+ *
+ * @returns {object} The `{cache, stats}` where `cache` is the `LruCache`
+ *   instance and `stats` has the `{hits, misses}` counters of the cache for
+ *   its owner to update.
+ */
+export function createCache({
+  name, options, watches = [], getEntryKeys
+} = {}) {
+  assert.string(name, 'name');
+  assert.object(options, 'options');
+  assert.arrayOfObject(watches, 'watches');
+  assert.func(getEntryKeys, 'getEntryKeys');
+  const stats = {hits: 0, misses: 0, evictions: 0};
+  const cache = new LruCache({
+    ...options,
+    dispose(value, key, reason) {
+      // only count entries removed to make room for others
+      if(reason === 'evict') {
+        stats.evictions++;
+      }
+      options.dispose?.(value, key, reason);
+    }
+  });
+  CACHES.set(name, {cache, watches, stats, getEntryKeys});
+  return {cache, stats};
+}
+
+/**
+ * Gets every registered cache.
+ *
+ * @returns {Array<object>} The `{name, cache, stats, getEntryKeys}` of each
+ *   cache.
+ */
+export function getCaches() {
+  return [...CACHES].map(([name, {cache, stats, getEntryKeys}]) => ({
+    name, cache, stats, getEntryKeys
+  }));
+}
+
+/**
+ * Evicts the given keys from a cache on this instance and publishes the
+ * invalidation to every other instance via the configured transport.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the cache.
+ * @param {Array<string>} options.keys - The cache keys to evict.
+ *
+ * @returns {Promise<undefined>} Resolves once the invalidation is published.
+ */
+export async function invalidate({name, keys} = {}) {
+  _evict({name, keys});
+  if(!(STARTED && TRANSPORT.publish)) {
+    return;
+  }
+  try {
+    await TRANSPORT.publish({name, keys});
+  } catch(error) {
+    // other instances will still evict the keys once they expire
+    logger.error('Could not publish cache invalidation.', {
+      cache: name, keys, error
+    });
+  }
+}
+
+/**
+ * A transport that distributes cache invalidations across instances.
+ *
+ * @typedef {object} InvalidationTransport
+ * @property {Function} start - Called with `{watches, evict}` to start the
+ *   transport; `evict({name, keys})` must be called with every invalidation
+ *   received from another instance and `watches` lists the collections that
+ *   back each registered cache as `{name, collectionName, getKeys}`.
+ * @property {Function} [publish] - Called with `{name, keys}` to publish an
+ *   invalidation made on this instance to every other instance.
+ * @property {Function} [stop] - Called to stop the transport.
+ */
+
+/**
+ * Sets the transport used to distribute cache invalidations across
+ * instances, replacing any transport set via
+ * `bedrock.config['zcap-storage'].cacheInvalidation.transport`. If bedrock
+ * is ready, any current transport is stopped and the new one is started.
+ *
+ * @param {object} options - The options to use.
+ * @param {InvalidationTransport|null} options.transport - The transport to
+ *   use or `null` for none.
+ *
+ * @returns {Promise<undefined>} Resolves once the transport is started.
+ */
+export async function setTransport({transport} = {}) {
+  if(transport !== null) {
+    assert.object(transport, 'transport');
+    assert.func(transport.start, 'transport.start');
+    assert.optionalFunc(transport.publish, 'transport.publish');
+    assert.optionalFunc(transport.stop, 'transport.stop');
+  }
+  await _stop();
+  TRANSPORT = transport;
+  if(READY) {
+    await _start();
+  }
+}
+
+/**
+ * Creates a transport that watches the collections that back each cache
+ * using MongoDB change streams (requires a replica set) and evicts the keys
+ * affected by every change made by any instance. Invalidations made on this
+ * instance do not need to be published as the database write is observed by
+ * every instance. A change stream that closes because of an error that it
+ * cannot resume from is reopened with exponential backoff; as changes are
+ * missed while it is closed, every entry of the affected cache is evicted
+ * when it closes and again when it is reopened.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.minRetryDelay=1000] - The delay, in milliseconds,
+ *   before first reopening a closed change stream.
+ * @param {number} [options.maxRetryDelay=60000] - The maximum delay, in
+ *   milliseconds, before reopening a closed change stream.
+ *
+ * @returns {InvalidationTransport} The transport.
+ */
+export function createChangeStreamTransport({
+  minRetryDelay = 1000, maxRetryDelay = 60000
+} = {}) {
+  assert.number(minRetryDelay, 'minRetryDelay');
+  assert.number(maxRetryDelay, 'maxRetryDelay');
+
+  let stopped = true;
+  const streams = new Set();
+  const timers = new Set();
+
+  function open({watch, evict, retryDelay}) {
+    const {name, collectionName, getKeys} = watch;
+    const stream = database.collections[collectionName].watch([], {
+      fullDocument: 'updateLookup'
+    });
+    stream.on('change', change => {
+      const keys = getKeys({change});
+      if(keys === null || keys.length > 0) {
+        evict({name, keys});
+      }
+    });
+    // the stream is healthy once it has received a batch of changes, even an
+    // empty one, so any later failure starts over with the minimum delay
+    stream.on('resumeTokenChanged', () => {
+      retryDelay = minRetryDelay;
+    });
+    stream.on('error', error => {
+      logger.error('Cache invalidation change stream failed.', {
+        cache: name, collectionName, error
+      });
+    });
+    stream.on('close', () => {
+      streams.delete(stream);
+      if(stopped) {
+        return;
+      }
+      evict({name, keys: null});
+      logger.error('Cache invalidation change stream closed; reopening.', {
+        cache: name, collectionName, retryDelay
+      });
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        if(stopped) {
+          return;
+        }
+        open({
+          watch, evict, retryDelay: Math.min(retryDelay * 2, maxRetryDelay)
+        });
+        evict({name, keys: null});
+      }, retryDelay);
+      // do not keep the process alive just to reopen the stream
+      timer.unref?.();
+      timers.add(timer);
+    });
+    streams.add(stream);
+  }
+
+  return {
+    async start({watches, evict}) {
+      stopped = false;
+      for(const watch of watches) {
+        open({watch, evict, retryDelay: minRetryDelay});
+      }
+    },
+    async stop() {
+      stopped = true;
+      for(const timer of timers) {
+        clearTimeout(timer);
+      }
+      timers.clear();
+      const closing = [...streams];
+      streams.clear();
+      await Promise.all(closing.map(stream => stream.close()));
+    }
+  };
+}
+
+/**
+ * Creates a transport for deployments without a replica set that publishes
+ * every invalidation made on any instance to a collection that every
+ * instance polls.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.interval=5000] - How often, in milliseconds, to
+ *   poll for invalidations.
+ * @param {number} [options.clockSkew=60000] - The maximum difference, in
+ *   milliseconds, between the clocks of any two instances.
+ *
+ * @returns {InvalidationTransport} The transport.
+ */
+export function createPollingTransport({
+  interval = 5000, clockSkew = 60000
+} = {}) {
+  assert.number(interval, 'interval');
+  assert.number(clockSkew, 'clockSkew');
+
+  let timer = null;
+  let stopped = true;
+  // published invalidations that have been seen, by ID, and when they were
+  // created; invalidations created before `since` need not be seen
+  const seen = new Map();
+  let since;
+
+  async function poll({evict}) {
+    const now = Date.now();
+    const records = await database.collections[POLLING_COLLECTION_NAME]
+      .find({'meta.created': {$gte: since}}, {
+        projection: {_id: 1, 'meta.created': 1, invalidation: 1}
+      }).toArray();
+    for(const {_id, meta: {created}, invalidation} of records) {
+      const id = String(_id);
+      if(!seen.has(id)) {
+        seen.set(id, created);
+        evict(invalidation);
+      }
+    }
+    // instances with a clock that is behind may still publish invalidations
+    // that appear to have been created up to `clockSkew` in the past
+    since = now - clockSkew;
+    for(const [id, created] of seen) {
+      if(created < since) {
+        seen.delete(id);
+      }
+    }
+  }
+
+  function schedule({evict}) {
+    timer = setTimeout(async () => {
+      try {
+        await poll({evict});
+      } catch(error) {
+        logger.error('Could not poll for cache invalidations.', {error});
+      }
+      if(!stopped) {
+        schedule({evict});
+      }
+    }, interval);
+    // do not keep the process alive just to poll
+    timer.unref?.();
+  }
+
+  return {
+    async start({evict}) {
+      stopped = false;
+      since = Date.now() - clockSkew;
+      schedule({evict});
+    },
+    async publish({name, keys}) {
+      // keep the invalidation long enough for every instance to see it
+      const now = Date.now();
+      const expires = new Date(now + 2 * (interval + clockSkew));
+      await database.collections[POLLING_COLLECTION_NAME].insertOne({
+        meta: {created: now, expires},
+        invalidation: {name, keys}
+      });
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      seen.clear();
+    }
+  };
+}
+
+function _evict({name, keys}) {
+  const {cache} = CACHES.get(name) ?? {};
+  if(!cache) {
+    return;
+  }
+  if(keys === null) {
+    cache.cache.clear();
+    return;
+  }
+  for(const key of keys) {
+    cache.delete(key);
+  }
+}
+
+async function _start() {
+  if(STARTED || TRANSPORT === null) {
+    return;
+  }
+  const watches = [];
+  for(const [name, cache] of CACHES) {
+    for(const watch of cache.watches) {
+      watches.push({name, ...watch});
+    }
+  }
+  await TRANSPORT.start({watches, evict: _evict});
+  STARTED = true;
+}
+
+async function _stop() {
+  if(!STARTED) {
+    return;
+  }
+  STARTED = false;
+  await TRANSPORT.stop?.();
+}
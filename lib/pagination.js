@@ -0,0 +1,128 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as errors from './errors.js';
+import assert from 'assert-plus';
+
+/**
+ * Gets a page of records from a collection using keyset pagination. The
+ * `sort` fields must uniquely identify a record (e.g., the fields of a unique
+ * index), must have string or number values, and are always sorted in
+ * ascending order; the returned `cursor` encodes the sort field values of the
+ * last record in the page.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.collection - The collection to query.
+ * @param {object} options.query - The query to use.
+ * @param {Array<string>} options.sort - The fields to sort by.
+ * @param {number} options.limit - The maximum number of records to return.
+ * @param {string} [options.cursor] - The cursor from a previous page.
+ * @param {object} [options.projection] - An optional projection; any sort
+ *   fields are added to an inclusive projection.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to `{records, cursor}`
+ *   where `cursor` is `null` if there are no more records or to an
+ *   ExplainObject if `explain=true`.
+ */
+export async function getPage({
+  collection, query, sort, limit, cursor, projection, explain = false
+} = {}) {
+  assert.object(collection, 'collection');
+  assert.object(query, 'query');
+  assert.arrayOfString(sort, 'sort');
+  assert.optionalString(cursor, 'cursor');
+  assert.optionalObject(projection, 'projection');
+  if(!(Number.isInteger(limit) && limit > 0)) {
+    throw new TypeError('"limit" must be a positive integer.');
+  }
+
+  if(cursor !== undefined) {
+    const values = _decodeCursor({cursor, sort});
+    query = {$and: [query, _createAfterQuery({sort, values})]};
+  }
+  if(projection && Object.values(projection).some(v => v)) {
+    projection = {...projection};
+    for(const field of sort) {
+      projection[field] = 1;
+    }
+  }
+
+  // fetch one more record than `limit` to determine if there is another page
+  const options = {
+    sort: Object.fromEntries(sort.map(field => [field, 1])),
+    limit: limit + 1
+  };
+  if(projection) {
+    options.projection = projection;
+  }
+  const mongoCursor = collection.find(query, options);
+
+  if(explain) {
+    return mongoCursor.explain('executionStats');
+  }
+
+  const records = await mongoCursor.toArray();
+  if(records.length <= limit) {
+    return {records, cursor: null};
+  }
+  records.length = limit;
+  const last = records[limit - 1];
+  const values = sort.map(field => _getValue({record: last, field}));
+  return {records, cursor: _encodeCursor({values})};
+}
+
+// builds a query matching records that sort after the given sort values
+function _createAfterQuery({sort, values}) {
+  const $or = [];
+  for(let i = 0; i < sort.length; ++i) {
+    const clause = {};
+    for(let j = 0; j < i; ++j) {
+      clause[sort[j]] = values[j];
+    }
+    clause[sort[i]] = {$gt: values[i]};
+    $or.push(clause);
+  }
+  return {$or};
+}
+
+function _decodeCursor({cursor, sort}) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch(e) {
+    values = undefined;
+  }
+  // only string and finite number values are valid, anything else (e.g., an
+  // object with query operators) must not reach the query
+  if(!(Array.isArray(values) && values.length === sort.length &&
+    values.every(_isSortValue))) {
+    throw errors.createDataError({
+      message: 'Invalid pagination cursor.',
+      details: {cursor}
+    });
+  }
+  return values;
+}
+
+function _encodeCursor({values}) {
+  return Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+}
+
+function _isSortValue(value) {
+  return typeof value === 'string' || Number.isFinite(value);
+}
+
+function _getValue({record, field}) {
+  let value = record;
+  for(const key of field.split('.')) {
+    value = value?.[key];
+  }
+  return value;
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
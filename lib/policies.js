@@ -3,91 +3,211 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as errors from './errors.js';
+import * as invalidation from './invalidation.js';
 import assert from 'assert-plus';
-import {LruCache} from '@digitalbazaar/lru-memoize';
-
-const {util: {BedrockError}} = bedrock;
+import {getDelegationProof} from './proofs.js';
+import {getPage} from './pagination.js';
 
 const COLLECTION_NAME = 'zcap-storage-policy';
+const HISTORY_COLLECTION_NAME = 'zcap-storage-policy-history';
 
 let POLICY_CACHE;
+let POLICY_CACHE_STATS;
+
+// cache of policies that were not found, `null` if disabled
+let NOT_FOUND_CACHE;
+let NOT_FOUND_CACHE_STATS;
 
 bedrock.events.on('bedrock.init', async () => {
   const cfg = bedrock.config['zcap-storage'];
-  const cacheConfig = cfg.caches.policy;
-  POLICY_CACHE = new LruCache(cacheConfig);
+
+  // a removed policy cannot be identified from its change stream event, so
+  // every entry is evicted in that case
+  ({
+    cache: POLICY_CACHE, stats: POLICY_CACHE_STATS
+  } = invalidation.createCache({
+    name: 'policy',
+    options: cfg.caches.policy,
+    watches: [{
+      collectionName: COLLECTION_NAME,
+      getKeys: ({change: {fullDocument: record}}) => record ?
+        _getCacheKeys(record.policy) : null
+    }],
+    getEntryKeys: ({entry}) => _getCacheKeys(entry)
+  }));
+
+  if(cfg.caches.policyNotFound) {
+    ({
+      cache: NOT_FOUND_CACHE, stats: NOT_FOUND_CACHE_STATS
+    } = invalidation.createCache({
+      name: 'policyNotFound',
+      options: cfg.caches.policyNotFound,
+      watches: [{
+        collectionName: COLLECTION_NAME,
+        getKeys: ({change: {operationType, fullDocument: record}}) =>
+          operationType === 'insert' ? [_getCacheKey(record.policy)] : []
+      }],
+      getEntryKeys: ({entry}) => [_getCacheKey(entry)]
+    }));
+  } else {
+    NOT_FOUND_CACHE = null;
+  }
 });
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
-  await database.openCollections([COLLECTION_NAME]);
+  await database.openCollections([COLLECTION_NAME, HISTORY_COLLECTION_NAME]);
   await database.createIndexes([{
     collection: COLLECTION_NAME,
     fields: {'policy.controller': 1, 'policy.delegate': 1},
     options: {unique: true}
+  }, {
+    // supports listing and counting the policies for a delegate
+    collection: COLLECTION_NAME,
+    fields: {'policy.delegate': 1, 'policy.controller': 1},
+    options: {unique: true}
+  }, {
+    // automatically expire policies with an `expires` date field
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {
+      unique: false,
+      expireAfterSeconds: 0
+    }
+  }, {
+    // the append-only history of every policy version
+    collection: HISTORY_COLLECTION_NAME,
+    fields: {'policy.controller': 1, 'policy.delegate': 1, 'meta.created': 1},
+    options: {unique: false}
   }]);
 });
 
 /**
- * Inserts a zcap policy into storage.
+ * Inserts a zcap policy into storage. The policy is recorded in the policy
+ * history; see `getHistory()`.
  *
  * @param {object} options - The options to use.
  * @param {object} options.policy - The policy to insert.
+ * @param {string} [options.changedBy] - The ID of the entity inserting the
+ *   policy, recorded in the policy history.
  *
  * @returns {Promise<object>} The database record.
  */
-export async function insert({policy} = {}) {
+export async function insert({policy, changedBy} = {}) {
   _assertPolicy(policy);
+  assert.optionalString(changedBy, 'changedBy');
   if(policy.sequence !== 0) {
     throw new Error('Initial "policy.sequence" must be zero.');
   }
 
   const now = Date.now();
   const meta = {created: now, updated: now};
+  if(policy.expires !== undefined) {
+    // used to automatically remove the policy once it expires
+    meta.expires = new Date(policy.expires);
+  }
   const record = {meta, policy};
 
   try {
     await _getCollection().insertOne(record);
-    // clear any "not found" cache value
-    POLICY_CACHE.delete(_getCacheKey(policy));
-    return record;
   } catch(cause) {
     if(!database.isDuplicateError(cause)) {
       throw cause;
     }
-    throw new BedrockError('Duplicate revocation.', {
-      name: 'DuplicateError',
-      cause,
-      details: {
-        public: true,
-        httpStatusCode: 409
-      }
+    throw errors.createDuplicateError({
+      message: 'Duplicate zcap policy.',
+      details: {controller: policy.controller, delegate: policy.delegate},
+      cause
+    });
+  }
+  await _insertHistory({
+    policy, changedBy, operation: 'insert', previousSequence: null
+  });
+  // clear any stale cache value
+  await _invalidateCache({policy});
+  // clear any "not found" cache value
+  if(NOT_FOUND_CACHE) {
+    await invalidation.invalidate({
+      name: 'policyNotFound', keys: [_getCacheKey(policy)]
     });
   }
+  return record;
 }
 
 /**
- * Gets a count of all zcap policies in storage for the given controller.
+ * Gets a count of all zcap policies in storage for the given controller,
+ * delegate, or both.
  *
  * @param {object} options - The options to use.
- * @param {string} options.controller - The ID of a zcap policy controller.
+ * @param {string} [options.controller] - The ID of a zcap policy controller.
+ * @param {string} [options.delegate] - The ID of a zcap policy delegate; only
+ *   policies with this exact `delegate` are counted, not delegate patterns
+ *   that match it.
  *
  * @returns {Promise<object>} Resolves with an object `{count}`
- *   with the number of zcap policies associated with the given `controller`.
+ *   with the number of zcap policies associated with the given `controller`
+ *   and/or `delegate`.
  */
-export async function count({controller} = {}) {
-  assert.string(controller, 'controller');
-
-  // count all policies with the given `controller`
+export async function count({controller, delegate} = {}) {
+  const query = _createListQuery({controller, delegate});
   const collection = _getCollection();
-  const query = {'policy.controller': controller};
   const count = await collection.countDocuments(query);
   return {count};
 }
 
+/**
+ * Lists the zcap policies in storage for the given controller, delegate, or
+ * both, one page at a time. Policies listed by controller are sorted by
+ * `delegate`; policies listed only by delegate, e.g., to find which
+ * controllers have policies for a delegate, are sorted by `controller`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.controller] - The ID of a zcap policy controller.
+ * @param {string} [options.delegate] - The ID of a zcap policy delegate; only
+ *   policies with this exact `delegate` are listed, not delegate patterns
+ *   that match it.
+ * @param {number} [options.limit=100] - The maximum number of policies to
+ *   return.
+ * @param {string} [options.cursor] - The `cursor` from a previous page.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to `{records, cursor}`
+ *   where `cursor` is passed to get the next page or is `null` if there are
+ *   no more policies, or an ExplainObject if `explain=true`.
+ */
+export async function list({
+  controller, delegate, limit = 100, cursor, explain = false
+} = {}) {
+  const query = _createListQuery({controller, delegate});
+  // sort by the fields of the index that matches the query
+  const sort = controller === undefined ?
+    ['policy.delegate', 'policy.controller'] :
+    ['policy.controller', 'policy.delegate'];
+  return getPage({
+    collection: _getCollection(),
+    query,
+    sort,
+    projection: {_id: 0, meta: 1, policy: 1},
+    limit, cursor, explain
+  });
+}
+
 /**
  * Gets a zcap policy from storage. The `controller` and `delegate` of the
  * policy must be given.
  *
+ * If the controller has no policy for the delegate, the policy of the
+ * controller with the longest delegate pattern that matches the delegate is
+ * returned instead, if any. A delegate pattern ends with `*` and matches
+ * every delegate that starts with the pattern without its `*`, e.g.,
+ * `did:web:example.com:*`; the pattern `*` matches every delegate and can be
+ * used as the default policy of a controller.
+ *
+ * A policy with a `notBefore` date is not active until then and a policy with
+ * an `expires` date is no longer active once it has passed. Unless
+ * `includeInactive=true` is passed, a policy that is not active is treated as
+ * if it did not exist. Expired policies are eventually removed from storage.
+ *
  * @param {object} options - The options to use.
  * @param {string} options.controller - The ID of the controller of the policy.
  * @param {string} options.delegate - The ID of the delegate for which the
@@ -95,23 +215,53 @@ export async function count({controller} = {}) {
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  * @param {boolean} [options.useCache=true] - `true` to allow use of a cache,
  *   `false` not to.
+ * @param {boolean} [options.fallback=true] - `true` to return the policy
+ *   with a matching delegate pattern if there is no policy for the delegate,
+ *   `false` not to.
+ * @param {boolean} [options.includeInactive=false] - `true` to also return
+ *   a policy that is not yet or no longer active, `false` not to.
  *
- * @returns {Promise<object | ExplainObject>} Resolves to `{policy, meta}`
+ * @returns {Promise<object | ExplainObject>} Resolves to `{policy, meta}`,
+ *   where `meta.status` is `active`, `pending` (not yet active), or `expired`,
  *   or an ExplainObject if `explain=true`.
  */
 export async function get({
-  controller, delegate, explain = false, useCache = true
+  controller, delegate, explain = false, useCache = true, fallback = true,
+  includeInactive = false
 } = {}) {
   assert.string(controller, 'controller');
   assert.string(delegate, 'delegate');
+  assert.bool(fallback, 'fallback');
+  assert.bool(includeInactive, 'includeInactive');
 
-  if(explain || !useCache) {
+  if(explain) {
     return _getUncachedPolicyRecord({controller, delegate, explain});
   }
 
-  const key = _getCacheKey({controller, delegate});
-  const fn = () => _getUncachedPolicyRecord({controller, delegate});
-  return POLICY_CACHE.memoize({key, fn});
+  const now = Date.now();
+  const isIncluded = ({policy}) =>
+    includeInactive || _getStatus({policy, now}) === 'active';
+  let record;
+  try {
+    record = await _getPolicyRecord({controller, delegate, useCache});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  if(!(record && isIncluded(record)) && fallback && !_isPattern(delegate)) {
+    const records = await _getPatternPolicyRecords({controller, useCache});
+    record = records.find(({policy}) => isIncluded({policy}) &&
+      _matchesPattern({pattern: policy.delegate, delegate}));
+  }
+  if(!(record && isIncluded(record))) {
+    throw _createNotFoundError({controller, delegate});
+  }
+  // do not modify the (possibly cached) record
+  return {
+    ...record,
+    meta: {...record.meta, status: _getStatus({policy: record.policy, now})}
+  };
 }
 
 /**
@@ -140,71 +290,340 @@ export async function find({
 }
 
 /**
- * Update a zcap policy.
+ * Retrieves the zcap policies from storage that match the given query one
+ * page at a time. Records are sorted by `policy.delegate` and
+ * `policy.controller` if the query is for a `policy.delegate` but not a
+ * `policy.controller`, otherwise by `policy.controller` and
+ * `policy.delegate`, so that queries for either are covered by an index. See
+ * `list()` to list the policies of a controller or for a delegate.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return.
+ * @param {string} [options.cursor] - The `cursor` from a previous page.
+ * @param {object} [options.projection] - An optional projection.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to `{records, cursor}`
+ *   where `cursor` is passed to get the next page or is `null` if there are
+ *   no more records, or an ExplainObject if `explain=true`.
+ */
+export async function findPage({
+  query = {}, limit = 100, cursor, projection, explain = false
+} = {}) {
+  const sort = query['policy.delegate'] !== undefined &&
+    query['policy.controller'] === undefined ?
+    ['policy.delegate', 'policy.controller'] :
+    ['policy.controller', 'policy.delegate'];
+  return getPage({
+    collection: _getCollection(),
+    query, sort, limit, cursor, projection, explain
+  });
+}
+
+/**
+ * Iterates over the zcap policies in storage that match the given query
+ * without loading them all into memory at once; records are read from the
+ * database in batches as they are consumed. Use `Readable.from()` to get a
+ * stream.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {object} [options.options = {}] - Options (eg: 'sort', 'limit',
+ *   'projection', 'batchSize').
+ *
+ * @yields {object} Each record that matches the query.
+ */
+export async function* iterate({query = {}, options = {}} = {}) {
+  yield* _getCollection().find(query, options);
+}
+
+/**
+ * Evaluates whether a delegated capability is permitted by the `delegation`
+ * rules of a zcap policy. The policy's `controller` is expected to be the
+ * delegator of the capability and its `delegate` the capability's
+ * `controller`. A policy without `delegation` rules permits any delegation.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.policy - The zcap policy.
+ * @param {object} options.capability - The delegated capability; a
+ *   `maxTtl` constraint is measured from the `created` date of its
+ *   delegation proof and is not met if it has none.
+ *
+ * @returns {object} An object `{allowed, reason}` where `reason` is set to a
+ *   human readable explanation when `allowed` is `false`.
+ */
+export function evaluateDelegation({policy, capability} = {}) {
+  assert.object(policy, 'policy');
+  assert.object(capability, 'capability');
+
+  const {delegation} = policy;
+  if(delegation === undefined) {
+    return {allowed: true};
+  }
+  if(delegation === false) {
+    return {
+      allowed: false,
+      reason: 'Delegation to the delegate is not permitted.'
+    };
+  }
+
+  const {constraints = {}} = delegation;
+  if(constraints.allowedActions !== undefined &&
+    !_allowsActions({allowedActions: constraints.allowedActions, capability})) {
+    return {
+      allowed: false,
+      reason: 'The capability\'s "allowedAction" is not permitted.'
+    };
+  }
+  // fail closed: a TTL that cannot be determined (e.g., the delegation proof
+  // has no `created` date) is not allowed
+  if(constraints.maxTtl !== undefined &&
+    !(_getTtl({capability}) <= constraints.maxTtl)) {
+    return {
+      allowed: false,
+      reason: 'The capability\'s time to live exceeds the maximum allowed ' +
+        'or could not be determined.'
+    };
+  }
+
+  return {allowed: true};
+}
+
+/**
+ * Evaluates whether a stored capability may be refreshed according to the
+ * `refresh` rules of a zcap policy and, if given, whether its proposed
+ * refreshed capability conforms to them. The policy's `controller` is
+ * expected to be the delegator of the capability and its `delegate` the
+ * capability's `controller`. A policy with `refresh=false` does not permit
+ * any refresh.
+ *
+ * The `refresh.constraints` of a policy may include:
+ * - `maxTtlBeforeRefresh`: The maximum time to live, in milliseconds, that
+ *   the capability may have left when it is refreshed.
+ * - `maxTtl`: The maximum time to live, in milliseconds, of the refreshed
+ *   capability, measured from its delegation.
+ * - `allowedActions`: The actions the refreshed capability may allow.
+ * - `allowedInvocationTargets`: The invocation targets the refreshed
+ *   capability may have; an invocation target may also be a path below one
+ *   of these (e.g., `<target>/documents`).
+ * - `maxChainDepth`: The maximum number of capabilities in the
+ *   `capabilityChain` of the refreshed capability's delegation proof, i.e.,
+ *   `1` only permits a capability delegated from a root capability.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.policy - The zcap policy.
+ * @param {object} options.capability - The capability to refresh.
+ * @param {object} [options.newCapability] - The proposed refreshed
+ *   capability; if not given, only whether `capability` may be refreshed is
+ *   evaluated.
+ * @param {number} [options.now=Date.now()] - The current time in ms.
+ *
+ * @returns {object} An object `{allowed, reason}` where `reason` is set to a
+ *   human readable explanation when `allowed` is `false`.
+ */
+export function evaluateRefresh({
+  policy, capability, newCapability, now = Date.now()
+} = {}) {
+  assert.object(policy, 'policy');
+  assert.object(capability, 'capability');
+  assert.optionalObject(newCapability, 'newCapability');
+
+  const {refresh} = policy;
+  if(refresh === false) {
+    return {
+      allowed: false,
+      reason: 'Refresh for the delegate is not permitted.'
+    };
+  }
+
+  const {constraints = {}} = refresh;
+  if(constraints.maxTtlBeforeRefresh !== undefined &&
+    Date.parse(capability.expires) - now > constraints.maxTtlBeforeRefresh) {
+    return {
+      allowed: false,
+      reason: 'The capability\'s time to live exceeds the maximum allowed ' +
+        'before refresh.'
+    };
+  }
+  if(newCapability === undefined) {
+    return {allowed: true};
+  }
+
+  if(newCapability.controller !== capability.controller) {
+    return {
+      allowed: false,
+      reason: 'The refreshed capability\'s "controller" does not match.'
+    };
+  }
+  if(constraints.allowedActions !== undefined &&
+    !_allowsActions({
+      allowedActions: constraints.allowedActions, capability: newCapability
+    })) {
+    return {
+      allowed: false,
+      reason: 'The refreshed capability\'s "allowedAction" is not permitted.'
+    };
+  }
+  if(constraints.allowedInvocationTargets !== undefined) {
+    const {invocationTarget} = newCapability;
+    if(typeof invocationTarget !== 'string' ||
+      !constraints.allowedInvocationTargets.some(
+        target => invocationTarget === target ||
+          invocationTarget.startsWith(`${target}/`))) {
+      return {
+        allowed: false,
+        reason:
+          'The refreshed capability\'s "invocationTarget" is not permitted.'
+      };
+    }
+  }
+  if(constraints.maxTtl !== undefined &&
+    !(_getTtl({capability: newCapability, start: now}) <=
+      constraints.maxTtl)) {
+    return {
+      allowed: false,
+      reason: 'The refreshed capability\'s time to live exceeds the ' +
+        'maximum allowed.'
+    };
+  }
+  if(constraints.maxChainDepth !== undefined) {
+    const chain = getDelegationProof({capability: newCapability})
+      ?.capabilityChain;
+    if(!(Array.isArray(chain) && chain.length <= constraints.maxChainDepth)) {
+      return {
+        allowed: false,
+        reason: 'The refreshed capability\'s chain depth exceeds the ' +
+          'maximum allowed or could not be determined.'
+      };
+    }
+  }
+
+  return {allowed: true};
+}
+
+/**
+ * Update a zcap policy. The new version of the policy is recorded in the
+ * policy history; see `getHistory()`.
  *
  * @param {object} options - The options to use.
  * @param {object} options.policy - The updated policy.
+ * @param {string} [options.changedBy] - The ID of the entity updating the
+ *   policy, recorded in the policy history.
  *
  * @returns {Promise<object>} Resolves to the updated record on success.
  */
-export async function update({policy} = {}) {
+export async function update({policy, changedBy} = {}) {
   _assertPolicy(policy);
+  assert.optionalString(changedBy, 'changedBy');
+  return _update({policy, changedBy, operation: 'update'});
+}
+
+/**
+ * Gets the history of a zcap policy, oldest first, with an entry for every
+ * version of the policy, i.e., for every insert, update, and rollback of the
+ * policy, and for its removal, if it was removed via `remove()`. The version
+ * of the policy in effect at a given time is the policy of the last entry
+ * created at or before that time, unless that entry is a removal. A policy
+ * that is removed from storage automatically after it `expires` has no
+ * removal entry; its last version is not in effect after its `expires` date.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.controller - The `controller` of the policy.
+ * @param {string} options.delegate - The `delegate` of the policy.
+ *
+ * @returns {Promise<Array>} Resolves to the history records, each with
+ *   `{meta, policy}` where `meta` has the `created` date of the entry, the
+ *   `operation` (`insert`, `update`, `rollback`, or `remove`), the
+ *   `previousSequence` of the policy (`null` for an insert), `changedBy`, if
+ *   given, and, for a rollback, the sequence it `rolledBackTo`; `policy` is
+ *   the new version of the policy or, for a removal, the removed policy.
+ */
+export async function getHistory({controller, delegate} = {}) {
+  assert.string(controller, 'controller');
+  assert.string(delegate, 'delegate');
 
-  // update record
-  const {controller, delegate} = policy;
   const query = {
     'policy.controller': controller,
-    'policy.delegate': delegate,
-    // existing policy must be `1` before the new update
-    'policy.sequence': policy.sequence - 1
-  };
-  const $set = {
-    'meta.updated': Date.now(),
-    policy
+    'policy.delegate': delegate
   };
   const projection = {_id: 0, meta: 1, policy: 1};
-  const collection = _getCollection();
-  const result = await collection.findOneAndUpdate(query, {$set}, {
-    projection,
-    returnDocument: 'after',
-    includeResultMetadata: true
-  });
+  return _getHistoryCollection().find(query, {projection})
+    .sort({'meta.created': 1, _id: 1}).toArray();
+}
 
-  // always clear cache value whether update succeeded or not -- to ensure
-  // callers can receive a fresh value for retrying an update
-  POLICY_CACHE.delete(_getCacheKey(policy));
+/**
+ * Rolls a zcap policy back to a previous version from its history (see
+ * `getHistory()`) via a sequenced update: the policy is updated to the
+ * content of the given version with the next sequence number of the current
+ * policy. If the policy is changed concurrently, an `InvalidStateError` is
+ * thrown.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.controller - The `controller` of the policy.
+ * @param {string} options.delegate - The `delegate` of the policy.
+ * @param {number} options.sequence - The sequence of the version to roll back
+ *   to; if the policy was removed and inserted again, the latest version with
+ *   this sequence is used.
+ * @param {string} [options.changedBy] - The ID of the entity rolling back the
+ *   policy, recorded in the policy history.
+ *
+ * @returns {Promise<object>} Resolves to the updated record on success.
+ */
+export async function rollback({
+  controller, delegate, sequence, changedBy
+} = {}) {
+  assert.string(controller, 'controller');
+  assert.string(delegate, 'delegate');
+  assert.number(sequence, 'sequence');
+  assert.optionalString(changedBy, 'changedBy');
 
-  if(result.lastErrorObject?.updatedExisting === false) {
-    throw new BedrockError(
-      'Could not update zcap policy; ' +
-      'policy either not found or unexpected sequence number.', {
-        name: 'InvalidStateError',
-        details: {
-          controller: policy.controller,
-          delegate: policy.delegate,
-          httpStatusCode: 409,
-          public: true
-        }
-      });
+  const [version] = await _getHistoryCollection().find({
+    'policy.controller': controller,
+    'policy.delegate': delegate,
+    'policy.sequence': sequence,
+    'meta.operation': {$ne: 'remove'}
+  }, {projection: {_id: 0, policy: 1}})
+    .sort({'meta.created': -1, _id: -1}).limit(1).toArray();
+  if(!version) {
+    throw errors.createNotFoundError({
+      message: 'Authorization capability policy version not found.',
+      details: {controller, delegate, sequence}
+    });
   }
-  return result.value;
+
+  const {policy: current} = await _getUncachedPolicyRecord({
+    controller, delegate
+  });
+  const policy = {...version.policy, sequence: current.sequence + 1};
+  _assertPolicy(policy);
+  return _update({
+    policy, changedBy, operation: 'rollback', rolledBackTo: sequence
+  });
 }
 
 /**
- * Remove a zcap policy.
+ * Remove a zcap policy. The removal is recorded in the policy history; see
+ * `getHistory()`.
  *
  * @param {object} options - The options to use.
  * @param {string} options.controller - The `controller` of the policy.
  * @param {string} options.delegate - The `delegate` of the policy.
  * @param {number} [options.sequence] - The optional `sequence` to include to
  *   match the record prior to deletion.
+ * @param {string} [options.changedBy] - The ID of the entity removing the
+ *   policy, recorded in the policy history.
  *
  * @returns {Promise<boolean>} Resolves to true if a record was removed.
  */
-export async function remove({controller, delegate, sequence} = {}) {
+export async function remove({
+  controller, delegate, sequence, changedBy
+} = {}) {
   assert.string(controller, 'controller');
   assert.string(delegate, 'delegate');
   assert.optionalNumber(sequence, 'sequence');
+  assert.optionalString(changedBy, 'changedBy');
 
   const query = {
     'policy.controller': controller,
@@ -214,10 +633,35 @@ export async function remove({controller, delegate, sequence} = {}) {
     query['policy.sequence'] = sequence;
   }
   const collection = _getCollection();
-  const result = await collection.deleteOne(query);
+  const record = await collection.findOneAndDelete(query, {
+    projection: {_id: 0, policy: 1}
+  });
   // clear any now stale cache entry
-  POLICY_CACHE.delete(_getCacheKey({controller, delegate}));
-  return result.deletedCount === 1;
+  await _invalidateCache({policy: {controller, delegate}});
+  if(!record) {
+    return false;
+  }
+  await _insertHistory({
+    policy: record.policy, changedBy, operation: 'remove',
+    previousSequence: record.policy.sequence
+  });
+  return true;
+}
+
+// returns whether every action allowed by a capability is in
+// `allowedActions`; a capability without `allowedAction` permits every action
+function _allowsActions({allowedActions, capability}) {
+  const {allowedAction} = capability;
+  const actions = allowedAction === undefined ? [] : [].concat(allowedAction);
+  return actions.length > 0 &&
+    actions.every(action => allowedActions.includes(action));
+}
+
+function _assertNonNegativeNumber(value, name) {
+  assert.number(value, name);
+  if(!(value >= 0)) {
+    throw new TypeError(`"${name}" must be a non-negative number.`);
+  }
 }
 
 function _assertPolicy(policy) {
@@ -226,17 +670,259 @@ function _assertPolicy(policy) {
   assert.string(policy.controller, 'policy.controller');
   assert.string(policy.delegate, 'policy.delegate');
   if(policy.refresh !== false) {
-    assert.object(policy.refresh, 'policy.refresh');
+    _assertRefresh(policy.refresh);
+  }
+  if(policy.delegation !== undefined && policy.delegation !== false) {
+    assert.object(policy.delegation, 'policy.delegation');
+    const {constraints} = policy.delegation;
+    assert.optionalObject(constraints, 'policy.delegation.constraints');
+    if(constraints) {
+      assert.optionalArrayOfString(
+        constraints.allowedActions,
+        'policy.delegation.constraints.allowedActions');
+      assert.optionalNumber(
+        constraints.maxTtl, 'policy.delegation.constraints.maxTtl');
+    }
   }
   if(!(Number.isInteger(policy.sequence) && policy.sequence >= 0)) {
     throw new TypeError('"policy.sequence" must be a non-negative integer.');
   }
+  for(const property of ['notBefore', 'expires']) {
+    const value = policy[property];
+    if(value !== undefined &&
+      !(typeof value === 'string' && Number.isFinite(Date.parse(value)))) {
+      throw new TypeError(
+        `"policy.${property}" must be an ISO 8601 date string.`);
+    }
+  }
+  if(policy.notBefore !== undefined && policy.expires !== undefined &&
+    Date.parse(policy.notBefore) >= Date.parse(policy.expires)) {
+    throw new TypeError('"policy.notBefore" must be before "policy.expires".');
+  }
+  const wildcards = policy.delegate.split('*').length - 1;
+  if(wildcards > 1 || (wildcards === 1 && !_isPattern(policy.delegate))) {
+    throw new TypeError(
+      '"policy.delegate" may only include "*" as its last character.');
+  }
+}
+
+// validates the `refresh` rules of a policy; unknown properties are
+// rejected so that a misspelled constraint is not silently ignored
+function _assertRefresh(refresh) {
+  assert.object(refresh, 'policy.refresh');
+  _assertKnownProperties(refresh, ['constraints'], 'policy.refresh');
+  const {constraints} = refresh;
+  assert.optionalObject(constraints, 'policy.refresh.constraints');
+  if(!constraints) {
+    return;
+  }
+  const name = 'policy.refresh.constraints';
+  _assertKnownProperties(constraints, [
+    'maxTtlBeforeRefresh', 'maxTtl', 'allowedActions',
+    'allowedInvocationTargets', 'maxChainDepth'
+  ], name);
+  const {
+    maxTtlBeforeRefresh, maxTtl, allowedActions, allowedInvocationTargets,
+    maxChainDepth
+  } = constraints;
+  if(maxTtlBeforeRefresh !== undefined) {
+    _assertNonNegativeNumber(
+      maxTtlBeforeRefresh, `${name}.maxTtlBeforeRefresh`);
+  }
+  if(maxTtl !== undefined) {
+    _assertNonNegativeNumber(maxTtl, `${name}.maxTtl`);
+  }
+  assert.optionalArrayOfString(allowedActions, `${name}.allowedActions`);
+  assert.optionalArrayOfString(
+    allowedInvocationTargets, `${name}.allowedInvocationTargets`);
+  if(maxChainDepth !== undefined &&
+    !(Number.isInteger(maxChainDepth) && maxChainDepth > 0)) {
+    throw new TypeError(`"${name}.maxChainDepth" must be a positive integer.`);
+  }
+}
+
+function _assertKnownProperties(object, properties, name) {
+  const unknown = Object.keys(object).filter(
+    property => !properties.includes(property));
+  if(unknown.length > 0) {
+    throw new TypeError(
+      `"${name}" has unknown properties: ${unknown.join(', ')}.`);
+  }
+}
+
+function _createListQuery({controller, delegate}) {
+  assert.optionalString(controller, 'controller');
+  assert.optionalString(delegate, 'delegate');
+  if(controller === undefined && delegate === undefined) {
+    throw new TypeError(
+      'Either "controller" or "delegate" or both must be given.');
+  }
+  const query = {};
+  if(controller !== undefined) {
+    query['policy.controller'] = controller;
+  }
+  if(delegate !== undefined) {
+    query['policy.delegate'] = delegate;
+  }
+  return query;
 }
 
 function _getCollection() {
   return database.collections[COLLECTION_NAME];
 }
 
+function _getHistoryCollection() {
+  return database.collections[HISTORY_COLLECTION_NAME];
+}
+
+async function _insertHistory({
+  policy, changedBy, operation, previousSequence, rolledBackTo
+}) {
+  const meta = {created: Date.now(), operation, previousSequence};
+  if(changedBy !== undefined) {
+    meta.changedBy = changedBy;
+  }
+  if(rolledBackTo !== undefined) {
+    meta.rolledBackTo = rolledBackTo;
+  }
+  await _getHistoryCollection().insertOne({meta, policy});
+}
+
+async function _update({policy, changedBy, operation, rolledBackTo}) {
+  // update record
+  const {controller, delegate} = policy;
+  const query = {
+    'policy.controller': controller,
+    'policy.delegate': delegate,
+    // existing policy must be `1` before the new update
+    'policy.sequence': policy.sequence - 1
+  };
+  const $set = {
+    'meta.updated': Date.now(),
+    policy
+  };
+  const update = {$set};
+  if(policy.expires === undefined) {
+    update.$unset = {'meta.expires': ''};
+  } else {
+    $set['meta.expires'] = new Date(policy.expires);
+  }
+  const projection = {_id: 0, meta: 1, policy: 1};
+  const collection = _getCollection();
+  const result = await collection.findOneAndUpdate(query, update, {
+    projection,
+    returnDocument: 'after',
+    includeResultMetadata: true
+  });
+
+  // always clear cache value whether update succeeded or not -- to ensure
+  // callers can receive a fresh value for retrying an update
+  await _invalidateCache({policy});
+
+  if(result.lastErrorObject?.updatedExisting === false) {
+    throw errors.createInvalidStateError({
+      message: 'Could not update zcap policy; ' +
+        'policy either not found or unexpected sequence number.',
+      details: {controller, delegate, sequence: policy.sequence}
+    });
+  }
+  await _insertHistory({
+    policy, changedBy, operation, previousSequence: policy.sequence - 1,
+    rolledBackTo
+  });
+  return result.value;
+}
+
+function _getStatus({policy, now}) {
+  if(policy.notBefore !== undefined && Date.parse(policy.notBefore) > now) {
+    return 'pending';
+  }
+  if(policy.expires !== undefined && Date.parse(policy.expires) <= now) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+// returns the time to live of a capability, measured from its delegation to
+// its expiration; without a `created` date on its delegation proof, it is
+// measured from `start` or is `NaN` if `start` is not given
+function _getTtl({capability, start}) {
+  if(capability.expires === undefined) {
+    return Infinity;
+  }
+  const created = Date.parse(getDelegationProof({capability})?.created);
+  return Date.parse(capability.expires) -
+    (Number.isNaN(created) ? start : created);
+}
+
+async function _invalidateCache({policy}) {
+  // evict keys locally and on every other instance
+  await invalidation.invalidate({name: 'policy', keys: _getCacheKeys(policy)});
+}
+
+// returns the policies of a controller with a delegate pattern, longest
+// pattern first
+async function _getPatternPolicyRecords({controller, useCache}) {
+  const fn = async () => {
+    const records = await _getCollection().find({
+      'policy.controller': controller,
+      'policy.delegate': {$regex: /\*$/}
+    }, {projection: {_id: 0, meta: 1, policy: 1}}).toArray();
+    return records.sort(
+      (a, b) => b.policy.delegate.length - a.policy.delegate.length);
+  };
+  if(!useCache) {
+    return fn();
+  }
+
+  const key = _getPatternsCacheKey({controller});
+  if(POLICY_CACHE.cache.has(key)) {
+    POLICY_CACHE_STATS.hits++;
+  } else {
+    POLICY_CACHE_STATS.misses++;
+  }
+  return POLICY_CACHE.memoize({key, fn});
+}
+
+async function _getPolicyRecord({controller, delegate, useCache}) {
+  if(!useCache) {
+    return _getUncachedPolicyRecord({controller, delegate});
+  }
+
+  const key = _getCacheKey({controller, delegate});
+  if(NOT_FOUND_CACHE?.cache.get(key)) {
+    NOT_FOUND_CACHE_STATS.hits++;
+    throw _createNotFoundError({controller, delegate});
+  }
+  if(POLICY_CACHE.cache.has(key)) {
+    POLICY_CACHE_STATS.hits++;
+  } else {
+    POLICY_CACHE_STATS.misses++;
+  }
+  // most delegator/delegate pairs have no policy, so that is cached as `null`
+  // (a rejected promise would not be cached); inserting a policy evicts the
+  // entry like any other change to it
+  const fn = async () => {
+    try {
+      return await _getUncachedPolicyRecord({controller, delegate});
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      return null;
+    }
+  };
+  const record = await POLICY_CACHE.memoize({key, fn});
+  if(record === null) {
+    if(NOT_FOUND_CACHE) {
+      NOT_FOUND_CACHE_STATS.misses++;
+      NOT_FOUND_CACHE.cache.set(key, true);
+    }
+    throw _createNotFoundError({controller, delegate});
+  }
+  return record;
+}
+
 async function _getUncachedPolicyRecord({
   controller, delegate, explain = false
 } = {}) {
@@ -256,24 +942,45 @@ async function _getUncachedPolicyRecord({
 
   const record = await collection.findOne(query, {projection});
   if(!record) {
-    throw new BedrockError('Authorization capability policy not found.', {
-      name: 'NotFoundError',
-      details: {
-        controller,
-        delegate,
-        httpStatusCode: 404,
-        public: true
-      }
-    });
+    throw _createNotFoundError({controller, delegate});
   }
 
   return record;
 }
 
+function _createNotFoundError({controller, delegate}) {
+  return errors.createNotFoundError({
+    message: 'Authorization capability policy not found.',
+    details: {controller, delegate}
+  });
+}
+
 function _getCacheKey({controller, delegate}) {
   return JSON.stringify({controller, delegate});
 }
 
+// returns the cache keys affected by a change to a policy; the policies with
+// a delegate pattern are cached together for their controller
+function _getCacheKeys({controller, delegate}) {
+  const keys = [_getCacheKey({controller, delegate})];
+  if(_isPattern(delegate)) {
+    keys.push(_getPatternsCacheKey({controller}));
+  }
+  return keys;
+}
+
+function _getPatternsCacheKey({controller}) {
+  return JSON.stringify({controller, patterns: true});
+}
+
+function _isPattern(delegate) {
+  return delegate.endsWith('*');
+}
+
+function _matchesPattern({pattern, delegate}) {
+  return delegate.startsWith(pattern.slice(0, -1));
+}
+
 /**
  * An object containing information on the query plan.
  *
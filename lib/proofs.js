@@ -0,0 +1,20 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Gets the delegation proof of a delegated capability, i.e., its proof with
+ * `proofPurpose=capabilityDelegation`. A capability's `proof` may be a single
+ * proof or an array of proofs.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The delegated capability.
+ *
+ * @returns {object | undefined} The delegation proof or `undefined` if the
+ *   capability has none.
+ */
+export function getDelegationProof({capability} = {}) {
+  const proofs = [].concat(capability.proof ?? []);
+  return proofs.find(
+    proof => proof?.proofPurpose === 'capabilityDelegation');
+}
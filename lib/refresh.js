@@ -0,0 +1,256 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {policies, zcaps} from './storage.js';
+import assert from 'assert-plus';
+import {getDelegationProof} from './proofs.js';
+import {logger} from './logger.js';
+
+// the collection of stored zcaps; see `zcaps.js`
+const ZCAP_COLLECTION_NAME = 'zcap-storage-zcap';
+
+// the application supplied refresher, `null` if none
+let REFRESHER = null;
+let GET_DELEGATOR = _getDelegator;
+let READY = false;
+let TIMER = null;
+
+bedrock.events.on('bedrock.ready', async () => {
+  READY = true;
+  _start();
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  READY = false;
+  _stop();
+});
+
+/**
+ * A function that refreshes a stored zcap.
+ *
+ * @typedef {Function} Refresher
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The zcap to refresh.
+ * @param {string} options.controller - The ID of the entity that stored the
+ *   zcap.
+ * @param {string} options.referenceId - The application specific ID of the
+ *   zcap.
+ * @param {string} options.delegator - The delegator of the zcap.
+ * @param {object|null} options.policy - The zcap policy of the delegator for
+ *   the zcap's controller or `null` if there is none.
+ *
+ * @returns {Promise<object|undefined>} Resolves to the refreshed zcap or
+ *   `undefined` if the zcap was not refreshed.
+ */
+
+/**
+ * Sets the function used to refresh stored zcaps that are nearing
+ * expiration. Once set, stored zcaps are scanned for refresh every
+ * `bedrock.config['zcap-storage'].refresh.interval` milliseconds; see
+ * `refreshZcaps()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {Refresher|null} options.refresher - The refresher to use or `null`
+ *   to stop refreshing zcaps.
+ * @param {Function} [options.getDelegator] - Returns the delegator of a zcap
+ *   given `{capability}`, used to find the zcap policy that applies to it;
+ *   defaults to the controller of the verification method of the zcap's
+ *   delegation proof, i.e., the verification method ID without its fragment.
+ *
+ * @returns {undefined}
+ */
+export function setRefresher({refresher, getDelegator = _getDelegator} = {}) {
+  if(refresher !== null) {
+    assert.func(refresher, 'refresher');
+  }
+  assert.func(getDelegator, 'getDelegator');
+  _stop();
+  REFRESHER = refresher;
+  GET_DELEGATOR = getDelegator;
+  _start();
+}
+
+/**
+ * Refreshes the stored zcaps that expire within
+ * `bedrock.config['zcap-storage'].refresh.threshold` milliseconds, soonest
+ * expiring first, using the refresh function set via `setRefresher()`. Zcaps
+ * that have already expired are not refreshed.
+ *
+ * A zcap is not refreshed if the zcap policy of its delegator for its
+ * controller does not permit it or if the refreshed zcap does not conform to
+ * the policy; see `policies.evaluateRefresh()`. A zcap that is not refreshed is
+ * not tried again for `refresh.retryInterval` milliseconds. Each zcap is
+ * claimed before it is refreshed so that instances scanning at the same time
+ * do not refresh the same zcap and a refreshed zcap is stored via
+ * `zcaps.update()`.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.limit] - The maximum number of zcaps to try to
+ *   refresh; defaults to `bedrock.config['zcap-storage'].refresh.batchSize`.
+ *
+ * @returns {Promise<object>} Resolves to `{refreshedCount, results}` where
+ *   `results` has `{controller, referenceId, capabilityId, status}` for each
+ *   zcap that was tried, where `status` is `refreshed`, `skipped` (with a
+ *   `reason`), or `failed` (with an `error`).
+ */
+export async function refreshZcaps({limit} = {}) {
+  assert.optionalNumber(limit, 'limit');
+  if(REFRESHER === null) {
+    throw new Error('No zcap refresher has been set.');
+  }
+  const {
+    threshold, batchSize, retryInterval
+  } = bedrock.config['zcap-storage'].refresh;
+  limit = limit ?? batchSize;
+
+  // `meta.expires` is the `capability.expires` of a zcap as a date; expired
+  // zcaps cannot be refreshed and are excluded so they do not fill batches
+  const now = Date.now();
+  const collection = database.collections[ZCAP_COLLECTION_NAME];
+  const records = await collection.find({
+    'meta.expires': {$gt: new Date(now), $lte: new Date(now + threshold)},
+    'meta.refreshAttempted': {$not: {$gt: now - retryInterval}}
+  }, {
+    projection: {_id: 0, capability: 1, meta: 1},
+    sort: {'meta.expires': 1},
+    limit
+  }).toArray();
+
+  const results = [];
+  for(const record of records) {
+    const result = await _refreshZcap({record, now, retryInterval});
+    if(result) {
+      results.push(result);
+    }
+  }
+  const refreshedCount = results.filter(
+    ({status}) => status === 'refreshed').length;
+  return {refreshedCount, results};
+}
+
+// claims a stored zcap so no other instance tries to refresh it until
+// `retryInterval` has passed, returning `true` if it was claimed
+async function _claim({record, now, retryInterval}) {
+  const {controller, referenceId} = record.meta;
+  const collection = database.collections[ZCAP_COLLECTION_NAME];
+  const result = await collection.updateOne({
+    controller: database.hash(controller),
+    referenceId: database.hash(referenceId),
+    id: database.hash(record.capability.id),
+    'meta.refreshAttempted': {$not: {$gt: now - retryInterval}}
+  }, {$set: {'meta.refreshAttempted': now}});
+  return result.modifiedCount === 1;
+}
+
+// returns the controller of the verification method of a zcap's delegation
+// proof, assuming the verification method ID is its controller's ID with a
+// fragment, as with DIDs
+function _getDelegator({capability}) {
+  const proof = getDelegationProof({capability});
+  const verificationMethod = proof?.verificationMethod?.id ??
+    proof?.verificationMethod;
+  if(typeof verificationMethod !== 'string') {
+    return undefined;
+  }
+  return verificationMethod.split('#')[0];
+}
+
+async function _getPolicy({delegator, delegate}) {
+  try {
+    const {policy} = await policies.get({controller: delegator, delegate});
+    return policy;
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    return null;
+  }
+}
+
+async function _refreshZcap({record, now, retryInterval}) {
+  const {capability, meta: {controller, referenceId, sequence = 0}} = record;
+  const result = {controller, referenceId, capabilityId: capability.id};
+  try {
+    if(!await _claim({record, now, retryInterval})) {
+      // another instance is refreshing the zcap
+      return;
+    }
+
+    const delegator = GET_DELEGATOR({capability});
+    if(typeof delegator !== 'string') {
+      return {
+        ...result,
+        status: 'skipped',
+        reason: 'The delegator of the zcap could not be determined.'
+      };
+    }
+    const policy = await _getPolicy({
+      delegator, delegate: capability.controller
+    });
+    if(policy) {
+      const {allowed, reason} = policies.evaluateRefresh({
+        policy, capability, now
+      });
+      if(!allowed) {
+        return {...result, status: 'skipped', reason};
+      }
+    }
+
+    const refreshed = await REFRESHER({
+      capability, controller, referenceId, delegator, policy
+    });
+    if(!refreshed) {
+      return {
+        ...result,
+        status: 'skipped',
+        reason: 'The zcap was not refreshed by the refresher.'
+      };
+    }
+    // the refreshed zcap must conform to the policy as well
+    if(policy) {
+      const {allowed, reason} = policies.evaluateRefresh({
+        policy, capability, newCapability: refreshed, now: Date.now()
+      });
+      if(!allowed) {
+        return {...result, status: 'skipped', reason};
+      }
+    }
+    await zcaps.update({
+      controller, referenceId, capability: refreshed, sequence: sequence + 1
+    });
+    return {...result, status: 'refreshed'};
+  } catch(error) {
+    logger.error('Could not refresh zcap.', {...result, error});
+    return {...result, status: 'failed', error};
+  }
+}
+
+function _schedule({interval}) {
+  const timer = TIMER = setTimeout(async () => {
+    try {
+      await refreshZcaps();
+    } catch(error) {
+      logger.error('Could not refresh zcaps.', {error});
+    }
+    // only continue if not stopped (or restarted) in the meantime
+    if(TIMER === timer) {
+      _schedule({interval});
+    }
+  }, interval);
+  // do not keep the process alive just to refresh zcaps
+  timer.unref?.();
+}
+
+function _start() {
+  const {interval} = bedrock.config['zcap-storage'].refresh;
+  if(READY && REFRESHER !== null && interval && TIMER === null) {
+    _schedule({interval});
+  }
+}
+
+function _stop() {
+  clearTimeout(TIMER);
+  TIMER = null;
+}
@@ -1,18 +1,38 @@
 /*!
  * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import * as authorizations from './authorizations.js';
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as errors from './errors.js';
+import * as invalidation from './invalidation.js';
 import assert from 'assert-plus';
-import {LruCache} from '@digitalbazaar/lru-memoize';
+import {getPage} from './pagination.js';
+import {randomUUID} from 'node:crypto';
 
-const {util: {BedrockError}} = bedrock;
+const HISTORY_COLLECTION_NAME = 'zcap-storage-revocation-history';
+const QUOTA_COLLECTION_NAME = 'zcap-storage-revocation-quota';
+const WILDCARD_COLLECTION_NAME = 'zcap-storage-revocation-wildcard';
+// quota reservations older than this are assumed to have been abandoned
+// (e.g., by a process that exited before completing its insert)
+const QUOTA_RESERVATION_TIMEOUT = 5 * 60 * 1000;
 
 // cache for revocation status of zcaps
 let REVOCATION_CACHE;
+let REVOCATION_CACHE_STATS;
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
-  await database.openCollections(['zcap-storage-revocation']);
+  /* Note: The `zcap-storage-revocation-history` collection is an append-only
+  audit trail of withdrawn revocations; each record holds the withdrawn
+  revocation record (a tombstone) and who withdrew it and why. The
+  `zcap-storage-revocation-quota` collection holds a counter of the
+  revocations for each `rootTarget` that is used to atomically enforce
+  revocation quotas. The `zcap-storage-revocation-wildcard` collection holds
+  revocations of every zcap from a delegator and/or for a root target. */
+  await database.openCollections([
+    'zcap-storage-revocation', HISTORY_COLLECTION_NAME, QUOTA_COLLECTION_NAME,
+    WILDCARD_COLLECTION_NAME
+  ]);
   await database.createIndexes([{
     collection: 'zcap-storage-revocation',
     fields: {'meta.delegator': 1, 'capability.id': 1},
@@ -21,6 +41,19 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: 'zcap-storage-revocation',
     fields: {'meta.rootTarget': 1},
     options: {unique: false}
+  }, {
+    // cover paginated listing of revocations by root target and delegator
+    collection: 'zcap-storage-revocation',
+    fields: {'meta.rootTarget': 1, 'meta.delegator': 1, 'capability.id': 1},
+    options: {unique: false}
+  }, {
+    // cover queries for revocations that cascaded from a revoked ancestor
+    collection: 'zcap-storage-revocation',
+    fields: {
+      'meta.revokedAncestor.capabilityId': 1,
+      'meta.revokedAncestor.delegator': 1
+    },
+    options: {unique: false}
   }, {
     // automatically expire revocations with an `expires` date field
     collection: 'zcap-storage-revocation',
@@ -29,11 +62,55 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       unique: false,
       expireAfterSeconds: 0
     }
+  }, {
+    collection: HISTORY_COLLECTION_NAME,
+    fields: {'revocation.meta.delegator': 1, 'revocation.capability.id': 1},
+    options: {unique: false}
+  }, {
+    // ensure a revocation record is withdrawn only once
+    collection: HISTORY_COLLECTION_NAME,
+    fields: {'meta.revocationId': 1},
+    options: {unique: true}
+  }, {
+    collection: QUOTA_COLLECTION_NAME,
+    fields: {rootTarget: 1},
+    options: {unique: true}
+  }, {
+    // an unspecified delegator or root target is stored as `null`
+    collection: WILDCARD_COLLECTION_NAME,
+    fields: {'wildcard.delegator': 1, 'wildcard.rootTarget': 1},
+    options: {unique: true}
   }]);
 
   const cfg = bedrock.config['zcap-storage'];
-  const cacheConfig = cfg.caches.revocation;
-  REVOCATION_CACHE = new LruCache(cacheConfig);
+
+  // revocation cache entries are invalidated across instances as soon as a
+  // revocation is inserted; entries for removed (withdrawn or expired)
+  // revocations are not as they only cause a withdrawn revocation to still
+  // be honored until the entry expires
+  ({
+    cache: REVOCATION_CACHE, stats: REVOCATION_CACHE_STATS
+  } = invalidation.createCache({
+    name: 'revocation',
+    options: cfg.caches.revocation,
+    watches: [{
+      collectionName: 'zcap-storage-revocation',
+      getKeys: ({change: {fullDocument: record}}) => record ?
+        [_getRevocationCacheKey({
+          capabilityId: record.capability.id,
+          delegator: record.meta.delegator
+        })] : []
+    }, {
+      collectionName: WILDCARD_COLLECTION_NAME,
+      getKeys: ({change: {fullDocument: record}}) => record ?
+        [_getWildcardCacheKey(record.wildcard)] : []
+    }],
+    // the revocation status of a capability is cached for the capability and
+    // for the wildcard revocations that could apply to it
+    getEntryKeys: ({entry}) => [
+      _getRevocationCacheKey(entry), ..._getWildcardCacheKeys(entry)
+    ]
+  }));
 });
 
 /**
@@ -45,6 +122,13 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
 /**
  * Inserts a zcap revocation into storage.
  *
+ * If `cascade` is `true`, every descendant of the capability that has been
+ * stored via the `authorizations` API (i.e., every capability whose chain of
+ * `parentCapability` values leads to the revoked capability) is also revoked.
+ * Each descendant revocation record identifies the revoked ancestor via
+ * `meta.revokedAncestor`, allowing a revocation check of a descendant to
+ * succeed using only its own capability summary.
+ *
  * @param {object} options - The options to use.
  * @param {string} options.delegator - The ID of the entity that delegated the
  *   revocation.
@@ -52,58 +136,421 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  *   associate with the revocation; this can be used to aggregate multiple
  *   revocations associated with the same root object or resource.
  * @param {object} options.capability - The capability to insert.
+ * @param {boolean} [options.cascade=false] - `true` to also revoke all stored
+ *   descendants of the capability; requires `capability.controller` to be
+ *   given as it is the delegator of any child capabilities.
+ * @param {number|null} [options.maxRevocations] - The maximum number of
+ *   revocations that may be stored for `rootTarget`; if exceeded, a
+ *   `QuotaExceededError` is thrown; `null` for no limit; defaults to the
+ *   `bedrock.config['zcap-storage'].revocations.quota` setting for
+ *   `rootTarget`. Revocations that cascade to descendants are not limited
+ *   but do count toward the quota.
  *
  * @returns {Promise<object>} The database record.
  */
-export async function insert({delegator, rootTarget, capability} = {}) {
+export async function insert({
+  delegator, rootTarget, capability, cascade = false,
+  maxRevocations = _getMaxRevocations({rootTarget})
+} = {}) {
   assert.string(delegator, 'delegator');
   assert.string(rootTarget, 'rootTarget');
   assert.object(capability, 'capability');
   assert.string(capability.id, 'capability.id');
+  assert.bool(cascade, 'cascade');
+  if(cascade) {
+    assert.string(capability.controller, 'capability.controller');
+  }
+  if(maxRevocations !== null) {
+    assert.number(maxRevocations, 'maxRevocations');
+  }
+
+  // reserve quota before inserting the revocation so concurrent inserts
+  // cannot exceed it
+  const reservation = await _reserveQuota({rootTarget, maxRevocations});
+
+  const record = _createRecord({
+    delegator, rootTarget, capability, now: Date.now()
+  });
+
+  try {
+    await _getCollection().insertOne(record);
+  } catch(e) {
+    // release reserved quota
+    await _settleReservation({reservation, unused: 1});
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw errors.createDuplicateError({
+      message: 'Duplicate revocation.',
+      details: {capabilityId: capability.id, delegator, rootTarget},
+      cause: e
+    });
+  }
+  await _settleReservation({reservation});
+
+  // clear any revocation cache entry
+  await _invalidateCache({
+    keys: [_getRevocationCacheKey({capabilityId: capability.id, delegator})]
+  });
+
+  if(cascade) {
+    await _revokeDescendants({
+      ancestor: {capabilityId: capability.id, delegator},
+      rootTarget, capability
+    });
+  }
+
+  return record;
+}
+
+/**
+ * Inserts many zcap revocations into storage at once, e.g., to revoke every
+ * zcap affected by a compromised key. Unlike with `insert()`, a revocation
+ * that already exists is not an error. Revocations are inserted in no
+ * particular order and the failure of one does not prevent the others from
+ * being inserted; if a quota would be exceeded for a `rootTarget`, none of
+ * the revocations for that `rootTarget` are inserted.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<object>} options.revocations - The revocations to insert,
+ *   each with a `delegator`, `rootTarget`, and `capability` as given to
+ *   `insert()`.
+ *
+ * @returns {Promise<object>} Resolves to `{insertedCount, results}` where
+ *   `results` has an entry for each revocation, in the same order as
+ *   `revocations`, with its `capabilityId`, `delegator`, and `status` which
+ *   is one of `inserted`, `duplicate` (already revoked), or `failed`; a
+ *   `failed` entry also has an `error`.
+ */
+export async function insertMany({revocations} = {}) {
+  assert.arrayOfObject(revocations, 'revocations');
+  for(const [i, {delegator, rootTarget, capability}] of
+    revocations.entries()) {
+    assert.string(delegator, `revocations[${i}].delegator`);
+    assert.string(rootTarget, `revocations[${i}].rootTarget`);
+    assert.object(capability, `revocations[${i}].capability`);
+    assert.string(capability.id, `revocations[${i}].capability.id`);
+  }
+
+  const results = revocations.map(({delegator, capability}) => ({
+    capabilityId: capability.id, delegator, status: 'inserted'
+  }));
+
+  // reserve quota for all of the revocations for each root target at once
+  const indexesByRootTarget = new Map();
+  for(const [i, {rootTarget}] of revocations.entries()) {
+    const indexes = indexesByRootTarget.get(rootTarget);
+    if(indexes) {
+      indexes.push(i);
+    } else {
+      indexesByRootTarget.set(rootTarget, [i]);
+    }
+  }
+  const reservations = new Map();
+  for(const [rootTarget, indexes] of indexesByRootTarget) {
+    const maxRevocations = _getMaxRevocations({rootTarget});
+    try {
+      reservations.set(rootTarget, await _reserveQuota({
+        rootTarget, maxRevocations, amount: indexes.length
+      }));
+    } catch(e) {
+      if(e.name !== 'QuotaExceededError') {
+        throw e;
+      }
+      for(const i of indexes) {
+        results[i].status = 'failed';
+        results[i].error = e;
+      }
+    }
+  }
 
   const now = Date.now();
-  const meta = {
-    created: now, updated: now,
-    delegator,
-    rootTarget
-  };
+  const indexes = [];
+  const records = [];
+  for(const [i, {delegator, rootTarget, capability}] of
+    revocations.entries()) {
+    if(results[i].status === 'inserted') {
+      indexes.push(i);
+      records.push(_createRecord({delegator, rootTarget, capability, now}));
+    }
+  }
+
+  if(records.length > 0) {
+    try {
+      await _getCollection().insertMany(records, {ordered: false});
+    } catch(e) {
+      if(!e.writeErrors) {
+        // nothing is known to be inserted
+        for(const i of indexes) {
+          results[i].status = 'failed';
+          results[i].error = e;
+        }
+      } else {
+        for(const writeError of e.writeErrors) {
+          const result = results[indexes[writeError.index]];
+          // duplicate key error; the capability has already been revoked
+          if(writeError.code === 11000) {
+            result.status = 'duplicate';
+            continue;
+          }
+          result.status = 'failed';
+          result.error = errors.createOperationError({
+            message: 'Could not insert revocation.',
+            details: {
+              capabilityId: result.capabilityId,
+              delegator: result.delegator,
+              code: writeError.code,
+              message: writeError.errmsg
+            }
+          });
+        }
+      }
+    }
+  }
+
+  // release reserved quota for revocations that were not inserted and clear
+  // the cache entries of those that were in one pass
+  const unused = new Map();
+  const keys = [];
+  for(const [i, result] of results.entries()) {
+    if(result.status === 'inserted') {
+      keys.push(_getRevocationCacheKey(result));
+      continue;
+    }
+    if(result.error?.name === 'QuotaExceededError') {
+      continue;
+    }
+    const {rootTarget} = revocations[i];
+    unused.set(rootTarget, (unused.get(rootTarget) ?? 0) + 1);
+  }
+  await Promise.all([
+    _invalidateCache({keys}),
+    ...[...reservations].map(([rootTarget, reservation]) => _settleReservation(
+      {reservation, unused: unused.get(rootTarget)}))
+  ]);
+
+  return {insertedCount: keys.length, results};
+}
 
-  if(capability.expires) {
-    // Set the revocation record to expire from the database collection one day
-    // after the capability expires, using the TTL index on `meta.expires`.
-    // There is no need to keep revocation records for an extended period after
-    // the capability has expired, as the capability will be rejected based on
-    // its expiration, eliminating the need for a revocation. Additionally, a
-    // revocation record must not expire too soon to prevent conflicts with
-    // expiration-related grace periods elsewhere in the stack
-    // (e.g., clock skew).
-    const revocationExpires = new Date(capability.expires);
-    revocationExpires.setDate(revocationExpires.getDate() + 1);
-    meta.expires = revocationExpires;
+/**
+ * Withdraws a zcap revocation, removing it from storage. Only the original
+ * delegator may withdraw a revocation. Any revocations that cascaded from the
+ * revocation (see `insert()`) are withdrawn as well. A tombstone for every
+ * withdrawn revocation, recording who withdrew it and why, is kept in the
+ * revocation history; see `getWithdrawals()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.delegator - The ID of the entity that delegated the
+ *   revoked capability.
+ * @param {string} options.capabilityId - The ID of the revoked capability.
+ * @param {string} options.withdrawnBy - The ID of the entity withdrawing the
+ *   revocation; it must be the `delegator`.
+ * @param {string} options.reason - The reason for the withdrawal.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if a revocation was
+ *   withdrawn and `false` if no matching revocation was found; rejects with a
+ *   `NotAllowedError` if `withdrawnBy` is not the `delegator`.
+ */
+export async function remove({
+  delegator, capabilityId, withdrawnBy, reason
+} = {}) {
+  assert.string(delegator, 'delegator');
+  assert.string(capabilityId, 'capabilityId');
+  assert.string(withdrawnBy, 'withdrawnBy');
+  assert.string(reason, 'reason');
+
+  if(withdrawnBy !== delegator) {
+    throw errors.createNotAllowedError({
+      message: 'Only the delegator may withdraw a revocation.',
+      details: {delegator, capabilityId, withdrawnBy}
+    });
   }
 
-  const record = {capability, meta};
+  const collection = _getCollection();
+  const projection = {_id: 1, capability: 1, meta: 1};
+  const record = await collection.findOne({
+    'meta.delegator': delegator,
+    'capability.id': capabilityId
+  }, {projection});
+  if(!record) {
+    return false;
+  }
+  const descendants = await collection.find({
+    'meta.revokedAncestor.capabilityId': capabilityId,
+    'meta.revokedAncestor.delegator': delegator
+  }, {projection}).toArray();
 
+  // write a tombstone for every revocation before removing it so that every
+  // withdrawal is recorded; tombstones are unique per revocation record, so
+  // a revocation that is withdrawn concurrently (or whose withdrawal was
+  // interrupted before it was removed) keeps its existing tombstone
+  const now = Date.now();
+  const tombstones = [record, ...descendants].map(({_id, ...revocation}) => ({
+    meta: {created: now, updated: now, revocationId: _id},
+    withdrawal: {capabilityId, delegator, withdrawnBy, reason},
+    revocation
+  }));
   try {
-    await _getCollection().insertOne(record);
+    await _getHistoryCollection().insertMany(tombstones, {ordered: false});
+  } catch(e) {
+    const writeErrors = e.writeErrors ?? [e];
+    if(writeErrors.some(({code}) => code !== 11000)) {
+      throw e;
+    }
+  }
 
-    // clear any revocation cache entry
-    REVOCATION_CACHE.delete(_getRevocationCacheKey({
-      capabilityId: capability.id, delegator
-    }));
+  // only the withdrawal that removes a revocation releases its quota and
+  // reports it as withdrawn
+  const deleted = await Promise.all([record, ...descendants].map(
+    async ({_id}) => (await collection.deleteOne({_id})).deletedCount === 1));
+  const records = [record, ...descendants].filter((r, i) => deleted[i]);
+
+  const summaries = records.map(({capability, meta}) => ({
+    capabilityId: capability.id, delegator: meta.delegator
+  }));
+
+  // clear now stale revocation cache entries
+  await _invalidateCache({keys: summaries.map(_getRevocationCacheKey)});
+
+  // release quota for each withdrawn revocation
+  const rootTargets = new Map();
+  for(const {meta: {rootTarget}} of records) {
+    rootTargets.set(rootTarget, (rootTargets.get(rootTarget) ?? 0) - 1);
+  }
+  await Promise.all([...rootTargets].map(
+    ([rootTarget, delta]) => _updateQuotaCount({rootTarget, delta})));
+
+  return deleted[0];
+}
+
+/**
+ * Gets the withdrawal history of a zcap revocation, oldest first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.delegator - The ID of the entity that delegated the
+ *   revoked capability.
+ * @param {string} options.capabilityId - The ID of the revoked capability.
+ *
+ * @returns {Promise<Array>} Resolves to the withdrawal records, each with
+ *   `{meta, withdrawal, revocation}` where `revocation` is the withdrawn
+ *   revocation record.
+ */
+export async function getWithdrawals({delegator, capabilityId} = {}) {
+  assert.string(delegator, 'delegator');
+  assert.string(capabilityId, 'capabilityId');
+
+  const query = {
+    'revocation.meta.delegator': delegator,
+    'revocation.capability.id': capabilityId
+  };
+  const projection = {
+    _id: 0, 'meta.created': 1, 'meta.updated': 1, withdrawal: 1, revocation: 1
+  };
+  return _getHistoryCollection().find(query, {projection})
+    .sort({'meta.created': 1}).toArray();
+}
 
-    return record;
+/**
+ * Inserts a wildcard revocation into storage that revokes every zcap
+ * delegated by `delegator`, every zcap associated with `rootTarget`, or, if
+ * both are given, every zcap associated with `rootTarget` that was delegated
+ * by `delegator`. This includes zcaps that have not been individually
+ * revoked or stored.
+ *
+ * A zcap is only known to be associated with a root target if its capability
+ * summary includes `rootTarget` when checking its revocation status; if
+ * `notBefore` is given, a zcap is only revoked if its capability summary
+ * includes a `created` date that is before `notBefore` or no `created` date.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.delegator] - The ID of the delegator whose zcaps
+ *   are revoked.
+ * @param {string} [options.rootTarget] - The ID of the root object or
+ *   resource whose zcaps are revoked.
+ * @param {string|number} [options.notBefore] - An optional ISO 8601 date
+ *   string or number of milliseconds since the epoch; zcaps created at or
+ *   after this time are not revoked.
+ *
+ * @returns {Promise<object>} The database record.
+ */
+export async function insertWildcard({delegator, rootTarget, notBefore} = {}) {
+  assert.optionalString(delegator, 'delegator');
+  assert.optionalString(rootTarget, 'rootTarget');
+  if(delegator === undefined && rootTarget === undefined) {
+    throw new TypeError(
+      'Either "delegator" or "rootTarget" or both must be given.');
+  }
+  if(notBefore !== undefined) {
+    notBefore = _toTime(notBefore);
+    if(!Number.isFinite(notBefore)) {
+      throw new TypeError(
+        '"notBefore" must be an ISO 8601 date string or a number.');
+    }
+  }
+
+  const now = Date.now();
+  const meta = {created: now, updated: now};
+  if(notBefore !== undefined) {
+    meta.notBefore = notBefore;
+  }
+  const wildcard = {
+    delegator: delegator ?? null,
+    rootTarget: rootTarget ?? null
+  };
+  const record = {wildcard, meta};
+
+  try {
+    await _getWildcardCollection().insertOne(record);
   } catch(e) {
     if(!database.isDuplicateError(e)) {
       throw e;
     }
-    throw new BedrockError(
-      'Duplicate revocation.',
-      'DuplicateError', {
-        public: true,
-        httpStatusCode: 409
-      }, e);
+    throw errors.createDuplicateError({
+      message: 'Duplicate wildcard revocation.',
+      details: {delegator, rootTarget},
+      cause: e
+    });
+  }
+
+  // clear wildcard revocation cache entry
+  await _invalidateCache({keys: [_getWildcardCacheKey(wildcard)]});
+
+  return record;
+}
+
+/**
+ * Removes a wildcard revocation from storage; see `insertWildcard()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.delegator] - The `delegator` of the wildcard
+ *   revocation.
+ * @param {string} [options.rootTarget] - The `rootTarget` of the wildcard
+ *   revocation.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if a wildcard revocation was
+ *   removed and `false` if no matching wildcard revocation was found.
+ */
+export async function removeWildcard({delegator, rootTarget} = {}) {
+  assert.optionalString(delegator, 'delegator');
+  assert.optionalString(rootTarget, 'rootTarget');
+  if(delegator === undefined && rootTarget === undefined) {
+    throw new TypeError(
+      'Either "delegator" or "rootTarget" or both must be given.');
   }
+
+  const wildcard = {
+    delegator: delegator ?? null,
+    rootTarget: rootTarget ?? null
+  };
+  const result = await _getWildcardCollection().deleteOne({
+    'wildcard.delegator': wildcard.delegator,
+    'wildcard.rootTarget': wildcard.rootTarget
+  });
+
+  // clear wildcard revocation cache entry
+  await _invalidateCache({keys: [_getWildcardCacheKey(wildcard)]});
+
+  return result.deletedCount > 0;
 }
 
 /**
@@ -124,24 +571,121 @@ export async function count({rootTarget, explain = false} = {}) {
   const query = {
     'meta.rootTarget': rootTarget
   };
+  // use the smaller single field index over the listing index that shares
+  // the same prefix
+  const options = {hint: {'meta.rootTarget': 1}};
 
   if(explain) {
     // 'find()' is used here because 'countDocuments()' doesn't return a
     // cursor which allows the use of the explain function.
-    const cursor = await collection.find(query);
+    const cursor = await collection.find(query, options);
     return cursor.explain('executionStats');
   }
 
-  const count = await collection.countDocuments(query);
+  const count = await collection.countDocuments(query, options);
   return {count};
 }
 
+/**
+ * Retrieves all zcap revocations from storage that match the given query.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {object} [options.options = {}] - Options (eg: 'sort', 'limit',
+ *   'projection').
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves to the records that
+ *   matched the query or an ExplainObject if `explain=true`.
+ */
+export async function find({
+  query = {}, options = {}, explain = false
+} = {}) {
+  const collection = _getCollection();
+  const cursor = await collection.find(query, options);
+
+  if(explain) {
+    return cursor.explain('executionStats');
+  }
+
+  return cursor.toArray();
+}
+
+/**
+ * Lists the zcap revocations in storage for the given root target, one page
+ * at a time. Revocations are sorted by `delegator` and capability ID.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.rootTarget - The ID of a root object or resource
+ *   associated with the revocations to list.
+ * @param {string} [options.delegator] - Only list revocations for
+ *   capabilities delegated by this delegator.
+ * @param {Date|number} [options.createdAfter] - Only list revocations created
+ *   after this time.
+ * @param {Date|number} [options.createdBefore] - Only list revocations created
+ *   before this time.
+ * @param {Date|number} [options.expiresAfter] - Only list revocations that
+ *   expire from storage after this time.
+ * @param {Date|number} [options.expiresBefore] - Only list revocations that
+ *   expire from storage before this time.
+ * @param {number} [options.limit=100] - The maximum number of revocations to
+ *   return.
+ * @param {string} [options.cursor] - The `cursor` from a previous page.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to `{records, cursor}`
+ *   where `cursor` is passed to get the next page or is `null` if there are
+ *   no more revocations, or an ExplainObject if `explain=true`.
+ */
+export async function list({
+  rootTarget, delegator,
+  createdAfter, createdBefore, expiresAfter, expiresBefore,
+  limit = 100, cursor, explain = false
+} = {}) {
+  assert.string(rootTarget, 'rootTarget');
+  assert.optionalString(delegator, 'delegator');
+
+  const query = {'meta.rootTarget': rootTarget};
+  if(delegator !== undefined) {
+    query['meta.delegator'] = delegator;
+  }
+  // `meta.created` is stored in milliseconds and `meta.expires` as a date
+  const created = _createRangeQuery({
+    after: createdAfter, before: createdBefore,
+    toValue: date => new Date(date).getTime()
+  });
+  if(created) {
+    query['meta.created'] = created;
+  }
+  const expires = _createRangeQuery({
+    after: expiresAfter, before: expiresBefore,
+    toValue: date => new Date(date)
+  });
+  if(expires) {
+    query['meta.expires'] = expires;
+  }
+
+  return getPage({
+    collection: _getCollection(),
+    query,
+    sort: ['meta.rootTarget', 'meta.delegator', 'capability.id'],
+    projection: {_id: 0},
+    limit, cursor, explain
+  });
+}
+
 /**
  * A summary of a capability.
  *
  * @typedef {object} CapabilitySummary
  * @property {string} capabilityId - The value of `capability.id`.
  * @property {string} delegator - The delegator of the capability.
+ * @property {string} [rootTarget] - The ID of the root object or resource
+ *   associated with the capability; required for wildcard revocations of
+ *   the root target to apply.
+ * @property {string|number} [created] - When the capability was created, as
+ *   an ISO 8601 date string or number of milliseconds since the epoch; used
+ *   to apply the `notBefore` date of wildcard revocations.
  */
 
 /**
@@ -163,10 +707,340 @@ export async function isRevoked({capabilities, explain = false} = {}) {
   return _cachedIsRevoked({capabilities});
 }
 
+/**
+ * A revocation status of a capability.
+ *
+ * @typedef {object} RevocationStatus
+ * @property {string} capabilityId - The value of `capability.id`.
+ * @property {string} delegator - The delegator of the capability.
+ * @property {boolean} revoked - `true` if the capability has been revoked.
+ */
+
+/**
+ * Gets the revocation status of each of the provided capabilities.
+ *
+ * @param {object} options - The options to use.
+ * @param {CapabilitySummary[]} options.capabilities  - The capabilities to
+ *   check.
+ * @param {boolean} [options.wildcardsOnly=false] - Set to `true` to only
+ *   check for wildcard revocations (see `insertWildcard()`) and not for
+ *   revocations of the individual capabilities.
+ *
+ * @returns {Promise<RevocationStatus[]>} Resolves to the revocation status of
+ *   each capability, in the same order as `capabilities`.
+ */
+export async function getStatus({capabilities, wildcardsOnly = false} = {}) {
+  assert.arrayOfObject(capabilities, 'capabilities');
+  assert.bool(wildcardsOnly, 'wildcardsOnly');
+  const statuses = await Promise.all(wildcardsOnly ?
+    _getCachedWildcardStatuses({capabilities}) :
+    _getCachedRevocationStatuses({capabilities}));
+  return capabilities.map(({capabilityId, delegator}, i) => ({
+    capabilityId, delegator, revoked: statuses[i]
+  }));
+}
+
+/**
+ * Recomputes when existing revocations expire from storage using the current
+ * `bedrock.config['zcap-storage'].revocations.retention` settings. This
+ * should be run after changing these settings as they otherwise only apply
+ * to new revocations. Revocations that should already have expired under the
+ * new settings are removed by the database shortly after being updated.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.rootTarget] - An optional `rootTarget` to limit
+ *   the recomputation to.
+ *
+ * @returns {Promise<object>} Resolves to `{updated}` with the number of
+ *   revocations that were updated.
+ */
+export async function recomputeExpirations({rootTarget} = {}) {
+  assert.optionalString(rootTarget, 'rootTarget');
+
+  const {gracePeriod, maxRetention} = bedrock.config['zcap-storage']
+    .revocations.retention;
+  const query = rootTarget === undefined ? {} : {'meta.rootTarget': rootTarget};
+  const now = Date.now();
+  const collection = _getCollection();
+
+  // revocations of expiring zcaps expire `gracePeriod` after the zcap
+  const expiring = await collection.updateMany({
+    ...query, 'capability.expires': {$exists: true}
+  }, [{
+    $set: {
+      'meta.expires': {
+        $add: [{$toDate: '$capability.expires'}, gracePeriod]
+      },
+      'meta.updated': now
+    }
+  }]);
+
+  // revocations of non-expiring zcaps expire `maxRetention` after they were
+  // created, if set
+  const nonExpiringQuery = {...query, 'capability.expires': {$exists: false}};
+  let nonExpiring;
+  if(maxRetention === null) {
+    nonExpiring = await collection.updateMany({
+      ...nonExpiringQuery, 'meta.expires': {$exists: true}
+    }, {
+      $unset: {'meta.expires': ''},
+      $set: {'meta.updated': now}
+    });
+  } else {
+    nonExpiring = await collection.updateMany(nonExpiringQuery, [{
+      $set: {
+        'meta.expires': {$toDate: {$add: ['$meta.created', maxRetention]}},
+        'meta.updated': now
+      }
+    }]);
+  }
+
+  return {updated: expiring.modifiedCount + nonExpiring.modifiedCount};
+}
+
 function _getCollection() {
   return database.collections['zcap-storage-revocation'];
 }
 
+function _getHistoryCollection() {
+  return database.collections[HISTORY_COLLECTION_NAME];
+}
+
+function _getQuotaCollection() {
+  return database.collections[QUOTA_COLLECTION_NAME];
+}
+
+function _getWildcardCollection() {
+  return database.collections[WILDCARD_COLLECTION_NAME];
+}
+
+function _getMaxRevocations({rootTarget}) {
+  const {revocations: {quota}} = bedrock.config['zcap-storage'];
+  return quota.rootTargets[rootTarget] ?? quota.maxRevocations;
+}
+
+async function _reserveQuota({rootTarget, maxRevocations, amount = 1}) {
+  // a reservation is recorded with the counter until the insert it was made
+  // for completes so that reconciling the counter does not drop it
+  const reservation = {rootTarget, id: randomUUID(), amount};
+  const collection = _getQuotaCollection();
+  const query = {rootTarget};
+  if(maxRevocations !== null) {
+    query.count = {$lte: maxRevocations - amount};
+  }
+  let reconciled = false;
+  while(true) {
+    // atomically increment the counter only if the quota allows it
+    const now = Date.now();
+    const result = await collection.updateOne(query, {
+      $inc: {count: amount},
+      $push: {reservations: {id: reservation.id, amount, created: now}},
+      $set: {'meta.updated': now}
+    });
+    if(result.matchedCount === 1) {
+      return reservation;
+    }
+    if(maxRevocations === null) {
+      // only existing counters are updated; a missing counter is initialized
+      // from the actual number of revocations when a quota is first enforced
+      return null;
+    }
+    // the counter is missing or at the quota; it may also be stale because
+    // revocations expire from storage without updating it, so (re)initialize
+    // it from the actual number of revocations once before failing
+    if(reconciled) {
+      throw errors.createQuotaExceededError({
+        message: 'Revocation quota exceeded.',
+        details: {rootTarget, maxRevocations}
+      });
+    }
+    await _reconcileQuota({rootTarget});
+    reconciled = true;
+  }
+}
+
+async function _settleReservation({reservation, unused = 0}) {
+  if(!reservation) {
+    return;
+  }
+  // remove the reservation and release any of it that was not used
+  const {rootTarget, id} = reservation;
+  await _getQuotaCollection().updateOne({rootTarget}, {
+    $inc: {count: -unused},
+    $pull: {reservations: {id}},
+    $set: {'meta.updated': Date.now()}
+  });
+}
+
+async function _reconcileQuota({rootTarget}) {
+  // read the counter before counting the revocations; a reservation or
+  // release made in between changes the counter so that the conditional
+  // update below does not overwrite it
+  const collection = _getQuotaCollection();
+  const counter = await collection.findOne(
+    {rootTarget}, {projection: {_id: 0, count: 1, reservations: 1}});
+  const {count: actual} = await count({rootTarget});
+  const now = Date.now();
+  if(!counter) {
+    try {
+      await collection.insertOne({
+        rootTarget, count: actual, reservations: [],
+        meta: {created: now, updated: now}
+      });
+    } catch(e) {
+      // ignore a concurrent counter creation
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+    }
+    return;
+  }
+  // the counter includes reservations for revocations that may not have been
+  // inserted yet, so those are added to the actual number of revocations; a
+  // reservation whose revocations were inserted after the counter was read
+  // is counted twice, which only means the counter is not lowered as far
+  const abandonedBefore = now - QUOTA_RESERVATION_TIMEOUT;
+  const pending = (counter.reservations ?? [])
+    .filter(({created}) => created >= abandonedBefore)
+    .reduce((sum, {amount}) => sum + amount, 0);
+  // only lower the counter, it becomes stale by revocations expiring from
+  // storage and by abandoned reservations
+  const expected = actual + pending;
+  if(expected < counter.count) {
+    await collection.updateOne({rootTarget, count: counter.count}, {
+      $set: {count: expected, 'meta.updated': now},
+      $pull: {reservations: {created: {$lt: abandonedBefore}}}
+    });
+  }
+}
+
+async function _updateQuotaCount({rootTarget, delta}) {
+  if(delta === 0) {
+    return;
+  }
+  // only existing counters are updated; a missing counter is initialized
+  // from the actual number of revocations when a quota is first enforced
+  await _getQuotaCollection().updateOne({rootTarget}, {
+    $inc: {count: delta},
+    $set: {'meta.updated': Date.now()}
+  });
+}
+
+function _createRecord({delegator, rootTarget, capability, now}) {
+  const meta = {
+    created: now, updated: now,
+    delegator,
+    rootTarget
+  };
+
+  const expires = _getRevocationExpires({capability, created: now});
+  if(expires) {
+    meta.expires = expires;
+  }
+
+  return {capability, meta};
+}
+
+function _createRangeQuery({after, before, toValue}) {
+  if(after === undefined && before === undefined) {
+    return;
+  }
+  const range = {};
+  if(after !== undefined) {
+    range.$gt = toValue(after);
+  }
+  if(before !== undefined) {
+    range.$lt = toValue(before);
+  }
+  return range;
+}
+
+function _getRevocationExpires({capability, created}) {
+  // Set the revocation record to expire from the database collection after
+  // the capability expires, using the TTL index on `meta.expires`. There is
+  // no need to keep revocation records for an extended period after the
+  // capability has expired, as the capability will be rejected based on its
+  // expiration, eliminating the need for a revocation. How long revocations
+  // are kept is configurable, see `config.js`.
+  const {gracePeriod, maxRetention} = bedrock.config['zcap-storage']
+    .revocations.retention;
+  if(!capability.expires) {
+    if(maxRetention === null) {
+      return;
+    }
+    return new Date(created + maxRetention);
+  }
+  return new Date(Date.parse(capability.expires) + gracePeriod);
+}
+
+async function _revokeDescendants({ancestor, rootTarget, capability}) {
+  // walk the stored delegation tree one level at a time; the delegator of a
+  // child capability is the controller of its parent
+  const visited = new Set([capability.id]);
+  let parents = [capability];
+  while(parents.length > 0) {
+    const delegators = new Map(parents
+      .filter(({controller}) => typeof controller === 'string')
+      .map(({id, controller}) => [id, controller]));
+    if(delegators.size === 0) {
+      break;
+    }
+    const records = await authorizations.find({
+      query: {
+        'authorization.capability.parentCapability': {
+          $in: [...delegators.keys()]
+        }
+      },
+      options: {projection: {_id: 0, 'authorization.capability': 1}}
+    });
+
+    const children = [];
+    const operations = [];
+    const now = Date.now();
+    for(const {authorization: {capability: child}} of records) {
+      if(visited.has(child.id)) {
+        continue;
+      }
+      visited.add(child.id);
+      children.push(child);
+
+      const delegator = delegators.get(child.parentCapability);
+      const meta = {
+        created: now, updated: now,
+        delegator,
+        rootTarget,
+        revokedAncestor: ancestor
+      };
+      const expires = _getRevocationExpires({
+        capability: child, created: now
+      });
+      if(expires) {
+        meta.expires = expires;
+      }
+      // descendants that have already been revoked are left as they are
+      operations.push({
+        updateOne: {
+          filter: {'meta.delegator': delegator, 'capability.id': child.id},
+          update: {$setOnInsert: {capability: child, meta}},
+          upsert: true
+        }
+      });
+    }
+    if(operations.length > 0) {
+      const {upsertedCount} = await _getCollection().bulkWrite(
+        operations, {ordered: false});
+      await _updateQuotaCount({rootTarget, delta: upsertedCount});
+      await _invalidateCache({
+        keys: operations.map(({updateOne: {filter}}) => _getRevocationCacheKey({
+          capabilityId: filter['capability.id'],
+          delegator: filter['meta.delegator']
+        }))
+      });
+    }
+    parents = children;
+  }
+}
+
 async function _cachedIsRevoked({capabilities}) {
   /* Note: This function will cause all possible revocation records related to
   the capability summaries listed in `capabilities` to be looked up with no
@@ -189,6 +1063,34 @@ async function _cachedIsRevoked({capabilities}) {
     rejectRevoked = reject;
   });
 
+  // run all checks concurrently and return immediately when any positive
+  // revocation status is found or an error occurs
+  const statusPromises = _getCachedRevocationStatuses({capabilities});
+  Promise.all(statusPromises.map(async statusPromise => {
+    const revoked = await statusPromise;
+    if(revoked) {
+      resolveRevoked(true);
+    }
+  })).then(() => resolveRevoked(false), rejectRevoked);
+
+  // will resolve on a positive revocation hit or when all revocation checks
+  // are negative; will only reject if an error occurs *before* either of these
+  // conditions occurs, otherwise the error will be safely ignored
+  return revokedPromise;
+}
+
+function _getCachedRevocationStatuses({capabilities}) {
+  // a capability is revoked if it has been revoked individually or by a
+  // wildcard revocation
+  const recordStatuses = _getCachedRecordStatuses({capabilities});
+  const wildcardStatuses = _getCachedWildcardStatuses({capabilities});
+  return recordStatuses.map(async (statusPromise, i) => {
+    const statuses = await Promise.all([statusPromise, wildcardStatuses[i]]);
+    return statuses.includes(true);
+  });
+}
+
+function _getCachedRecordStatuses({capabilities}) {
   // build a queue of capability summaries / existing cache results to process
   // and prune `capabilities` to be only cache misses
   const queue = [];
@@ -196,25 +1098,157 @@ async function _cachedIsRevoked({capabilities}) {
     const key = _getRevocationCacheKey(capabilitySummary);
     const result = REVOCATION_CACHE.cache.peek(key);
     queue.push({capabilitySummary, key, result});
+    _recordLookup({hit: result !== undefined});
     return result === undefined;
   });
 
-  // run all checks concurrently and return immediately when any positive
-  // revocation status is found or an error occurs
+  // return a promise for the revocation status of each capability summary,
+  // in order; all cache misses share a single database call
   const dbCallState = {capabilities, promise: null};
-  Promise.all(queue.map(async ({key, capabilitySummary, result}) => {
-    const revoked = await (result ?? REVOCATION_CACHE.memoize({
+  return queue.map(({key, capabilitySummary, result}) =>
+    result ?? REVOCATION_CACHE.memoize({
       key, fn: _createCacheGetter({capabilitySummary, dbCallState})
     }));
-    if(revoked) {
-      resolveRevoked(true);
+}
+
+function _getCachedWildcardStatuses({capabilities}) {
+  // wildcard revocations are cached by delegator (with any root target) and
+  // by root target (without a delegator); determine every selector needed to
+  // check `capabilities` and any existing cache results
+  const wildcards = new Map();
+  for(const {delegator, rootTarget} of capabilities) {
+    const selectors = [{delegator, rootTarget: null}];
+    if(rootTarget !== undefined) {
+      selectors.push({delegator: null, rootTarget});
     }
-  })).then(() => resolveRevoked(false), rejectRevoked);
+    for(const selector of selectors) {
+      const key = _getWildcardCacheKey(selector);
+      if(!wildcards.has(key)) {
+        const result = REVOCATION_CACHE.cache.peek(key);
+        wildcards.set(key, {selector, result});
+        _recordLookup({hit: result !== undefined});
+      }
+    }
+  }
 
-  // will resolve on a positive revocation hit or when all revocation checks
-  // are negative; will only reject if an error occurs *before* either of these
-  // conditions occurs, otherwise the error will be safely ignored
-  return revokedPromise;
+  // all cache misses share a single database call
+  const dbCallState = {
+    selectors: [...wildcards.values()]
+      .filter(({result}) => result === undefined)
+      .map(({selector}) => selector),
+    promise: null
+  };
+  for(const [key, wildcard] of wildcards) {
+    wildcard.result ??= REVOCATION_CACHE.memoize({
+      key, fn: _createWildcardCacheGetter({
+        selector: wildcard.selector, dbCallState
+      })
+    });
+  }
+
+  // return a promise for the wildcard revocation status of each capability
+  // summary, in order
+  return capabilities.map(async capabilitySummary => {
+    const keys = _getWildcardCacheKeys(capabilitySummary);
+    const records = await Promise.all(
+      keys.map(key => wildcards.get(key).result));
+    return records.flat().some(
+      record => _matchesWildcard({record, capabilitySummary}));
+  });
+}
+
+// returns the keys of the cached wildcard revocations that could apply to
+// the capability
+function _getWildcardCacheKeys({delegator, rootTarget}) {
+  const keys = [_getWildcardCacheKey({delegator, rootTarget: null})];
+  if(rootTarget !== undefined) {
+    keys.push(_getWildcardCacheKey({delegator: null, rootTarget}));
+  }
+  return keys;
+}
+
+function _getWildcardCacheKey({delegator, rootTarget}) {
+  // wildcards with a delegator are cached together for the delegator
+  if(delegator !== null) {
+    return JSON.stringify({wildcard: {delegator}});
+  }
+  return JSON.stringify({wildcard: {rootTarget}});
+}
+
+function _createWildcardCacheGetter({selector, dbCallState}) {
+  // return function that will resolve to the wildcard revocation records for
+  // the given selector using the shared database call
+  return async () => {
+    // if the database call hasn't started yet, start it
+    if(!dbCallState.promise) {
+      const {selectors} = dbCallState;
+      dbCallState.promise = _getUncachedWildcards({selectors}).catch(e => e);
+    }
+    // await database result
+    const recordsOrError = await dbCallState.promise;
+    if(recordsOrError instanceof Error) {
+      throw recordsOrError;
+    }
+    const {delegator, rootTarget} = selector;
+    return recordsOrError.filter(({wildcard}) => delegator === null ?
+      wildcard.delegator === null && wildcard.rootTarget === rootTarget :
+      wildcard.delegator === delegator);
+  };
+}
+
+async function _getUncachedWildcards({selectors}) {
+  const delegators = [];
+  const rootTargets = [];
+  for(const {delegator, rootTarget} of selectors) {
+    if(delegator === null) {
+      rootTargets.push(rootTarget);
+    } else {
+      delegators.push(delegator);
+    }
+  }
+  const query = {$or: []};
+  if(delegators.length > 0) {
+    query.$or.push({'wildcard.delegator': {$in: delegators}});
+  }
+  if(rootTargets.length > 0) {
+    query.$or.push({
+      'wildcard.delegator': null,
+      'wildcard.rootTarget': {$in: rootTargets}
+    });
+  }
+  const projection = {_id: 0, wildcard: 1, meta: 1};
+  return _getWildcardCollection().find(query, {projection}).toArray();
+}
+
+function _matchesWildcard({record, capabilitySummary}) {
+  const {wildcard, meta: {notBefore}} = record;
+  const {rootTarget, created} = capabilitySummary;
+  if(wildcard.rootTarget !== null && wildcard.rootTarget !== rootTarget) {
+    return false;
+  }
+  // a capability with an unknown creation date is considered revoked
+  if(notBefore === undefined || created === undefined) {
+    return true;
+  }
+  const time = _toTime(created);
+  return Number.isNaN(time) || time < notBefore;
+}
+
+function _toTime(date) {
+  return typeof date === 'string' ? Date.parse(date) : date;
+}
+
+function _recordLookup({hit}) {
+  if(hit) {
+    REVOCATION_CACHE_STATS.hits++;
+  } else {
+    REVOCATION_CACHE_STATS.misses++;
+  }
+}
+
+async function _invalidateCache({keys}) {
+  // evict keys locally and on every other instance
+  await invalidation.invalidate({name: 'revocation', keys});
 }
 
 function _getRevocationCacheKey(capabilitySummary) {
@@ -3,12 +3,17 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as errors from './errors.js';
+import * as invalidation from './invalidation.js';
 import assert from 'assert-plus';
-import {LruCache} from '@digitalbazaar/lru-memoize';
-
-const {util: {BedrockError}} = bedrock;
+import {getPage} from './pagination.js';
 
 let ZCAP_CACHE;
+let ZCAP_CACHE_STATS;
+
+// cache of zcaps that were not found, `null` if disabled
+let NOT_FOUND_CACHE;
+let NOT_FOUND_CACHE_STATS;
 
 const COLLECTION_NAME = 'zcap-storage-zcap';
 
@@ -29,7 +34,49 @@ bedrock.events.on('bedrock.init', async () => {
     delete cacheConfig.maxAge;
   }
 
-  ZCAP_CACHE = new LruCache(cacheConfig);
+  // a removed zcap or the previous ID of a replaced zcap cannot be identified
+  // from its change stream event, so every entry is evicted in those cases
+  ({cache: ZCAP_CACHE, stats: ZCAP_CACHE_STATS} = invalidation.createCache({
+    name: 'zcap',
+    options: cacheConfig,
+    watches: [{
+      collectionName: COLLECTION_NAME,
+      getKeys: ({change: {fullDocument: record, updateDescription}}) => {
+        if(!record || updateDescription?.updatedFields?.id !== undefined) {
+          return null;
+        }
+        return _getCacheKeys({
+          controller: record.meta.controller,
+          id: record.capability.id,
+          referenceId: record.meta.referenceId
+        });
+      }
+    }],
+    getEntryKeys: ({entry}) => _getCacheKeys(entry)
+  }));
+
+  if(cfg.caches.zcapNotFound) {
+    ({
+      cache: NOT_FOUND_CACHE, stats: NOT_FOUND_CACHE_STATS
+    } = invalidation.createCache({
+      name: 'zcapNotFound',
+      options: cfg.caches.zcapNotFound,
+      watches: [{
+        collectionName: COLLECTION_NAME,
+        // a zcap is found by its current ID and reference ID once it has been
+        // inserted, updated, or replaced; removing it has no effect
+        getKeys: ({change: {fullDocument: record}}) => record ?
+          _getCacheKeys({
+            controller: record.meta.controller,
+            id: record.capability.id,
+            referenceId: record.meta.referenceId
+          }) : []
+      }],
+      getEntryKeys: ({entry}) => _getCacheKeys(entry)
+    }));
+  } else {
+    NOT_FOUND_CACHE = null;
+  }
 });
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
@@ -56,6 +103,11 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: COLLECTION_NAME,
     fields: {controller: 1, invoker: 1},
     options: {unique: false}
+  }, {
+    // enable queries for zcaps nearing expiration to refresh
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false}
   }]);
 });
 
@@ -79,7 +131,13 @@ export async function insert({controller, referenceId, capability} = {}) {
 
   // insert the capability and get the updated record
   const now = Date.now();
-  const meta = {created: now, updated: now, controller, referenceId};
+  const meta = {
+    created: now, updated: now, sequence: 0, controller, referenceId
+  };
+  const expires = _getExpires({capability});
+  if(expires) {
+    meta.expires = expires;
+  }
   const record = {
     id: database.hash(capability.id),
     controller: database.hash(controller),
@@ -92,18 +150,26 @@ export async function insert({controller, referenceId, capability} = {}) {
   try {
     const collection = database.collections[COLLECTION_NAME];
     await collection.insertOne(record);
-    return record;
   } catch(e) {
     if(!database.isDuplicateError(e)) {
       throw e;
     }
-    throw new BedrockError(
-      'Duplicate authorization capability.',
-      'DuplicateError', {
-        public: true,
-        httpStatusCode: 409
-      }, e);
+    throw errors.createDuplicateError({
+      message: 'Duplicate authorization capability.',
+      details: {controller, id: capability.id, referenceId},
+      cause: e
+    });
+  }
+
+  // clear any "not found" cache values
+  if(NOT_FOUND_CACHE) {
+    await invalidation.invalidate({
+      name: 'zcapNotFound',
+      keys: _getCacheKeys({controller, id: capability.id, referenceId})
+    });
   }
+
+  return record;
 }
 
 /**
@@ -119,32 +185,96 @@ export async function insert({controller, referenceId, capability} = {}) {
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  * @param {boolean} [options.useCache=true] - `true` to allow use of a cache,
  *   `false` not to.
+ * @param {boolean} [options.allowExpired=true] - `true` to return a zcap that
+ *   has expired with `meta.expired` set to `true`, `false` to throw an
+ *   `ExpiredError` instead.
  *
  * @returns {Promise<object | ExplainObject>} Resolves to `{capability, meta}`
  *   or an ExplainObject if `explain=true`.
  */
 export async function get({
-  controller, id, referenceId, explain = false, useCache = true
+  controller, id, referenceId, explain = false, useCache = true,
+  allowExpired = true
 } = {}) {
   assert.string(controller, 'controller');
   assert.optionalString(id, 'id');
   assert.optionalString(referenceId, 'referenceId');
+  assert.bool(allowExpired, 'allowExpired');
   if(!(id || referenceId)) {
     throw new TypeError('Either "id" or "referenceId" must be given.');
   }
 
-  if(explain || !useCache) {
+  if(explain) {
     return _getUncachedZcapRecord({controller, id, referenceId, explain});
   }
 
-  // use cache
-  // note: if the zcap has expired it will still be returned from the cache
-  // until its cache max age is hit; zcaps should always be refreshed sooner
-  // than the cache max age to ensure proper continued use
-  const key = id ? JSON.stringify({controller, id}) :
-    JSON.stringify({controller, referenceId});
-  const fn = () => _getUncachedZcapRecord({controller, id, referenceId});
-  return ZCAP_CACHE.memoize({key, fn});
+  const record = useCache ?
+    await _getCachedZcapRecord({controller, id, referenceId}) :
+    await _getUncachedZcapRecord({controller, id, referenceId});
+  if(!_isExpired({capability: record.capability})) {
+    return record;
+  }
+  if(!allowExpired) {
+    throw errors.createExpiredError({
+      message: 'Authorization capability has expired.',
+      details: {
+        controller, id, referenceId,
+        capabilityId: record.capability.id,
+        expires: record.capability.expires
+      }
+    });
+  }
+  // do not modify the (possibly cached) record
+  return {...record, meta: {...record.meta, expired: true}};
+}
+
+/**
+ * Warms the zcap cache by loading the unexpired capabilities stored by the
+ * given controller, e.g., at startup, so that `get()` does not need to reach
+ * the database for them.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.controller - The ID of the entity that stored the
+ *   zcaps.
+ * @param {number} [options.limit] - The maximum number of zcaps to load;
+ *   defaults to half of the `max` of the zcap cache as every zcap is cached
+ *   by both its ID and its reference ID.
+ *
+ * @returns {Promise<object>} Resolves to `{count}` with the number of zcaps
+ *   that were loaded into the cache.
+ */
+export async function warmCache({controller, limit} = {}) {
+  assert.string(controller, 'controller');
+  assert.optionalNumber(limit, 'limit');
+  limit = limit ?? Math.floor(ZCAP_CACHE.cache.max / 2);
+
+  // exclude expired zcaps in the query so that they do not count toward
+  // `limit`; zcaps stored before `meta.expires` was set are checked below
+  const collection = database.collections[COLLECTION_NAME];
+  const now = Date.now();
+  const records = await collection.find({
+    controller: database.hash(controller),
+    $or: [
+      {'meta.expires': {$exists: false}},
+      {'meta.expires': {$gt: new Date(now)}}
+    ]
+  }, {projection: {_id: 0, capability: 1, meta: 1}, limit}).toArray();
+
+  let count = 0;
+  for(const record of records) {
+    const {capability, meta: {referenceId}} = record;
+    if(_isExpired({capability, now})) {
+      continue;
+    }
+    const keys = _getCacheKeys({controller, id: capability.id, referenceId});
+    for(const key of keys) {
+      NOT_FOUND_CACHE?.delete(key);
+      ZCAP_CACHE.cache.set(key, Promise.resolve(record));
+      _capCacheTtl({key, record});
+    }
+    count++;
+  }
+  return {count};
 }
 
 /**
@@ -172,6 +302,160 @@ export async function find({
   return cursor.toArray();
 }
 
+/**
+ * Retrieves the capabilities from storage that match the given query one
+ * page at a time, e.g., to list every zcap stored by a controller. Records
+ * are sorted by (hashed) `controller` and `referenceId`, so queries for a
+ * `controller` are covered by an index.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return.
+ * @param {string} [options.cursor] - The `cursor` from a previous page.
+ * @param {object} [options.projection] - An optional projection.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to `{records, cursor}`
+ *   where `cursor` is passed to get the next page or is `null` if there are
+ *   no more records, or an ExplainObject if `explain=true`.
+ */
+export async function findPage({
+  query = {}, limit = 100, cursor, projection, explain = false
+} = {}) {
+  return getPage({
+    collection: database.collections[COLLECTION_NAME],
+    query,
+    sort: ['controller', 'referenceId'],
+    limit, cursor, projection, explain
+  });
+}
+
+/**
+ * Iterates over the capabilities in storage that match the given query
+ * without loading them all into memory at once; records are read from the
+ * database in batches as they are consumed. Use `Readable.from()` to get a
+ * stream.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} [options.query = {}] - The optional query to use.
+ * @param {object} [options.options = {}] - Options (eg: 'sort', 'limit',
+ *   'projection', 'batchSize').
+ *
+ * @yields {object} Each record that matches the query.
+ */
+export async function* iterate({query = {}, options = {}} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  // the cursor is closed when iteration ends, even if ended early
+  yield* collection.find(query, options);
+}
+
+/**
+ * Updates a stored capability by atomically replacing it, e.g., when it has
+ * been refreshed. The `sequence` must be one greater than the
+ * `meta.sequence` of the stored record, which is `0` when it is inserted.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.controller - The ID of the entity that stored the
+ *   zcap.
+ * @param {string} options.referenceId - The application specific ID of the
+ *   zcap.
+ * @param {object} options.capability - The zcap to replace the stored zcap
+ *   with.
+ * @param {number} options.sequence - The new sequence number of the record.
+ *
+ * @returns {Promise<object>} Resolves to the updated database record.
+ */
+export async function update({
+  controller, referenceId, capability, sequence
+} = {}) {
+  assert.string(controller, 'controller');
+  assert.string(referenceId, 'referenceId');
+  assert.object(capability, 'capability');
+  assert.string(capability.id, 'capability.id');
+  assert.string(capability.controller, 'capability.controller');
+  assert.number(sequence, 'sequence');
+  if(!(Number.isInteger(sequence) && sequence > 0)) {
+    throw new TypeError('"sequence" must be a positive integer.');
+  }
+
+  const query = {
+    controller: database.hash(controller),
+    referenceId: database.hash(referenceId),
+    // existing record must be `1` before the new update; records inserted
+    // before sequence numbers were stored have none
+    'meta.sequence': sequence === 1 ? {$in: [0, null]} : sequence - 1
+  };
+  const $set = {
+    id: database.hash(capability.id),
+    invoker: database.hash(capability.controller),
+    'meta.updated': Date.now(),
+    'meta.sequence': sequence,
+    capability
+  };
+  const update = {$set};
+  const expires = _getExpires({capability});
+  if(expires) {
+    $set['meta.expires'] = expires;
+  } else {
+    update.$unset = {'meta.expires': ''};
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  let result;
+  try {
+    // the previous record is returned to clear its cache values
+    result = await collection.findOneAndUpdate(query, update, {
+      projection: {_id: 0},
+      returnDocument: 'before',
+      includeResultMetadata: true
+    });
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw errors.createDuplicateError({
+      message: 'Duplicate authorization capability.',
+      details: {controller, id: capability.id, referenceId},
+      cause: e
+    });
+  }
+
+  // always clear cache values whether update succeeded or not -- to ensure
+  // callers can receive a fresh value for retrying an update
+  const previous = result.value;
+  const keys = _getCacheKeys({controller, id: capability.id, referenceId});
+  if(previous) {
+    keys.push(..._getCacheKeys({controller, id: previous.capability.id}));
+  }
+  await invalidation.invalidate({name: 'zcap', keys});
+  if(NOT_FOUND_CACHE) {
+    await invalidation.invalidate({
+      name: 'zcapNotFound', keys: _getCacheKeys({controller, id: capability.id})
+    });
+  }
+
+  if(!previous) {
+    throw errors.createInvalidStateError({
+      message: 'Could not update authorization capability; ' +
+        'capability either not found or unexpected sequence number.',
+      details: {controller, referenceId, sequence}
+    });
+  }
+  const meta = {...previous.meta, updated: $set['meta.updated'], sequence};
+  if(expires) {
+    meta.expires = expires;
+  } else {
+    delete meta.expires;
+  }
+  return {
+    ...previous,
+    id: $set.id,
+    invoker: $set.invoker,
+    meta,
+    capability
+  };
+}
+
 /**
  * Removes a capability from storage.
  *
@@ -213,13 +497,111 @@ export async function remove({
   }
 
   // clear cache values
-  ZCAP_CACHE.delete(JSON.stringify({controller, id}));
-  ZCAP_CACHE.delete(JSON.stringify({controller, referenceId}));
+  await invalidation.invalidate({
+    name: 'zcap', keys: _getCacheKeys({controller, id, referenceId})
+  });
 
   const result = await collection.deleteMany(query);
   return result.deletedCount !== 0;
 }
 
+/**
+ * Sets `meta.expires`, the zcap's `expires` as a date, on stored zcaps that
+ * do not have it, i.e., zcaps stored by earlier versions that have not been
+ * updated since. Zcaps are only scanned for refresh (see
+ * `refresh.refreshZcaps()`) once this has been set, so this should be run
+ * once after upgrading.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.controller] - An optional controller to limit the
+ *   recomputation to.
+ *
+ * @returns {Promise<object>} Resolves to `{updated}` with the number of zcaps
+ *   that were updated.
+ */
+export async function recomputeExpirations({controller} = {}) {
+  assert.optionalString(controller, 'controller');
+
+  const query = controller === undefined ?
+    {} : {controller: database.hash(controller)};
+  const collection = database.collections[COLLECTION_NAME];
+  // an `expires` that is not a valid date is left unset as in `insert()`
+  const result = await collection.updateMany({
+    ...query,
+    'capability.expires': {$exists: true},
+    'meta.expires': {$exists: false}
+  }, [{
+    $set: {
+      'meta.expires': {
+        $dateFromString: {
+          dateString: '$capability.expires', onError: '$$REMOVE'
+        }
+      }
+    }
+  }]);
+  return {updated: result.modifiedCount};
+}
+
+// caps the TTL of the cache entry for a zcap at the zcap's expiration
+function _capCacheTtl({key, record}) {
+  const {expires} = record.capability;
+  if(expires === undefined) {
+    return;
+  }
+  const ttl = Date.parse(expires) - Date.now();
+  if(Number.isNaN(ttl)) {
+    return;
+  }
+  if(ttl <= 0) {
+    ZCAP_CACHE.delete(key);
+    return;
+  }
+  const entry = ZCAP_CACHE.cache.peek(key);
+  if(entry && ttl < ZCAP_CACHE.cache.getRemainingTTL(key)) {
+    ZCAP_CACHE.cache.set(key, entry, {ttl});
+  }
+}
+
+// returns the cache key for each of `id` and `referenceId` that is given
+function _getCacheKeys({controller, id, referenceId}) {
+  const keys = [];
+  if(id) {
+    keys.push(JSON.stringify({controller, id}));
+  }
+  if(referenceId) {
+    keys.push(JSON.stringify({controller, referenceId}));
+  }
+  return keys;
+}
+
+async function _getCachedZcapRecord({controller, id, referenceId}) {
+  // note: the TTL of a cache entry is capped at the expiration of its zcap so
+  // that an expired zcap is not returned from the cache
+  const [key] = _getCacheKeys({controller, id, referenceId});
+  if(NOT_FOUND_CACHE?.cache.get(key)) {
+    NOT_FOUND_CACHE_STATS.hits++;
+    throw _createNotFoundError({controller, id, referenceId});
+  }
+  if(ZCAP_CACHE.cache.has(key)) {
+    ZCAP_CACHE_STATS.hits++;
+  } else {
+    ZCAP_CACHE_STATS.misses++;
+  }
+  const fn = () => _getUncachedZcapRecord({controller, id, referenceId});
+  let record;
+  try {
+    record = await ZCAP_CACHE.memoize({key, fn});
+  } catch(e) {
+    if(NOT_FOUND_CACHE && e.name === 'NotFoundError') {
+      NOT_FOUND_CACHE_STATS.misses++;
+      NOT_FOUND_CACHE.cache.set(key, true);
+    }
+    throw e;
+  }
+  _capCacheTtl({key, record});
+  return record;
+}
+
 async function _getUncachedZcapRecord({
   controller, id, referenceId, explain = false
 } = {}) {
@@ -242,15 +624,33 @@ async function _getUncachedZcapRecord({
 
   const record = await collection.findOne(query, {projection});
   if(!record) {
-    throw new BedrockError(
-      'Authorization capability not found.',
-      'NotFoundError',
-      {controller, id, referenceId, httpStatusCode: 404, public: true});
+    throw _createNotFoundError({controller, id, referenceId});
   }
 
   return record;
 }
 
+// returns the expiration date of a zcap as a `Date` so that it can be
+// compared in queries regardless of how `capability.expires` is formatted
+function _getExpires({capability}) {
+  const expires = Date.parse(capability.expires);
+  return Number.isNaN(expires) ? undefined : new Date(expires);
+}
+
+function _isExpired({capability, now = Date.now()}) {
+  if(capability.expires === undefined) {
+    return false;
+  }
+  return Date.parse(capability.expires) <= now;
+}
+
+function _createNotFoundError({controller, id, referenceId}) {
+  return errors.createNotFoundError({
+    message: 'Authorization capability not found.',
+    details: {controller, id, referenceId}
+  });
+}
+
 /**
  * An object containing information on the query plan.
  *
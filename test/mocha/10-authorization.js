@@ -87,6 +87,12 @@ describe('authorization API', () => {
       should.not.exist(result);
       should.exist(err);
       err.name.should.equal('DuplicateError');
+      err.details.should.include({
+        controller: authorization.controller,
+        id: authorization.capability.id,
+        httpStatusCode: 409,
+        public: true
+      });
     });
     it(`returns TypeError when 'invocationTarget.id' is not a string`,
       async () => {
@@ -264,6 +270,76 @@ describe('authorization API', () => {
         result[0].authorization.should.eql(authorization);
       });
   });
+  describe('findPage API', async () => {
+    let authorizations;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-authorization';
+      await helpers.removeCollection(collectionName);
+
+      authorizations = [];
+      for(let i = 0; i < 3; ++i) {
+        const authorization = structuredClone(mockData.authorizations.alpha);
+        authorization.capability.id = `${authorization.capability.id}-${i}`;
+        await brZcapStorage.authorizations.insert(authorization);
+        authorizations.push(authorization);
+      }
+    });
+    it('finds the authorizations for an invocation target one page at a time',
+      async () => {
+        const {invocationTarget} = authorizations[0].capability;
+        const query = {invocationTarget: helpers.hash(invocationTarget)};
+        const ids = [];
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.authorizations.findPage({
+            query, limit: 2
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.records.should.have.length(2);
+        should.exist(result.cursor);
+        ids.push(...result.records.map(
+          ({authorization}) => authorization.capability.id));
+
+        result = await brZcapStorage.authorizations.findPage({
+          query, limit: 2, cursor: result.cursor
+        });
+        result.records.should.have.length(1);
+        should.equal(result.cursor, null);
+        ids.push(...result.records.map(
+          ({authorization}) => authorization.capability.id));
+        ids.should.have.members(
+          authorizations.map(({capability}) => capability.id));
+      });
+  });
+  describe('iterate API', async () => {
+    it('iterates over every authorization that matches a query', async () => {
+      const collectionName = 'zcap-storage-authorization';
+      await helpers.removeCollection(collectionName);
+      const authorization = structuredClone(mockData.authorizations.alpha);
+      await brZcapStorage.authorizations.insert(authorization);
+
+      const query = {controller: helpers.hash(authorization.controller)};
+      const records = [];
+      let err;
+      try {
+        for await (const record of brZcapStorage.authorizations.iterate({
+          query
+        })) {
+          records.push(record);
+        }
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      records.should.have.length(1);
+      records[0].authorization.should.eql(authorization);
+    });
+  });
   describe('remove API', async () => {
     let authorization;
     beforeEach(async () => {
@@ -40,6 +40,28 @@ describe('zcaps API', () => {
       findResult[0].controller.should.eql(helpers.hash(controller));
       findResult[0].id.should.eql(helpers.hash(capability.id));
     });
+    it(`stores the zcap's expiration as a date in 'meta.expires'`,
+      async () => {
+        const zcap = structuredClone(mockData.zcaps.alpha);
+        const {controller, referenceId, capability} = zcap;
+        capability.expires = '2030-01-01T12:00:00+02:00';
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.zcaps.insert({
+            controller,
+            referenceId,
+            capability
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.meta.expires.should.be.an.instanceof(Date);
+        result.meta.expires.toISOString().should.equal(
+          '2030-01-01T10:00:00.000Z');
+      });
     it(`returns DuplicateError on same 'controller', 'referenceId' and ` +
       `'capability'`, async () => {
       const zcap = structuredClone(mockData.zcaps.alpha);
@@ -67,6 +89,10 @@ describe('zcaps API', () => {
       should.not.exist(result);
       should.exist(err);
       err.name.should.equal('DuplicateError');
+      err.details.should.include({
+        controller, id: capability.id, referenceId, httpStatusCode: 409,
+        public: true
+      });
     });
   });
   describe('get API', async () => {
@@ -149,6 +175,102 @@ describe('zcaps API', () => {
       should.exist(err);
       err.name.should.equal('NotFoundError');
     });
+    it('caches NotFoundError until the zcap is inserted', async () => {
+      const {capability, referenceId} = zcap;
+      const controller = 'urn:uuid:4d4e9d0c-8c5e-4f5e-9c1b-2a7d5c6e8f90';
+      const before = brZcapStorage.caches.getStats().zcapNotFound;
+      for(let i = 0; i < 2; ++i) {
+        let err;
+        try {
+          await brZcapStorage.zcaps.get({controller, id: capability.id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      }
+      const after = brZcapStorage.caches.getStats().zcapNotFound;
+      (after.misses - before.misses).should.equal(1);
+      (after.hits - before.hits).should.equal(1);
+
+      await brZcapStorage.zcaps.insert({controller, referenceId, capability});
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.get({controller, id: capability.id});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.capability.should.eql(capability);
+    });
+    describe('with an expired zcap', async () => {
+      let expired;
+      beforeEach(async () => {
+        expired = structuredClone(mockData.zcaps.alpha);
+        expired.referenceId = 'urn:uuid:6a2f0c1e-5b7d-4e3a-9f8c-1d2e3f4a5b6c';
+        expired.capability.id = 'urn:zcap:9b8c7d6e-5f4a-4b3c-8d2e-1f0a9b8c7d6e';
+        expired.capability.expires = new Date(Date.now() - 1000).toISOString();
+        await brZcapStorage.zcaps.insert(expired);
+      });
+      it('returns the zcap with "meta.expired"', async () => {
+        const {controller, capability} = expired;
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.zcaps.get({
+            controller, id: capability.id
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.capability.should.eql(capability);
+        result.meta.expired.should.equal(true);
+      });
+      it('returns ExpiredError when "allowExpired=false"', async () => {
+        const {controller, referenceId} = expired;
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.zcaps.get({
+            controller, referenceId, allowExpired: false
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(result);
+        err.name.should.equal('ExpiredError');
+        err.details.capabilityId.should.equal(expired.capability.id);
+      });
+    });
+    it('does not return a zcap from the cache once it expires', async () => {
+      const expiring = structuredClone(mockData.zcaps.alpha);
+      expiring.referenceId = 'urn:uuid:3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f';
+      expiring.capability.id = 'urn:zcap:0f1e2d3c-4b5a-4968-8776-a5b4c3d2e1f0';
+      expiring.capability.expires = new Date(Date.now() + 500).toISOString();
+      await brZcapStorage.zcaps.insert(expiring);
+      const {controller, capability} = expiring;
+
+      // cache the zcap and then remove it from the database directly
+      await brZcapStorage.zcaps.get({controller, id: capability.id});
+      const collection = database.collections['zcap-storage-zcap'];
+      await collection.deleteOne({id: helpers.hash(capability.id)});
+
+      // the cache entry expires with the zcap
+      await new Promise(resolve => setTimeout(resolve, 600));
+      let err;
+      try {
+        await brZcapStorage.zcaps.get({controller, id: capability.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
   });
   describe('find API', async () => {
     let zcap;
@@ -184,6 +306,189 @@ describe('zcaps API', () => {
         result[0].id.should.eql(helpers.hash(capability.id));
       });
   });
+  describe('findPage API', async () => {
+    let zcaps;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-zcap';
+      await helpers.removeCollection(collectionName);
+
+      zcaps = [];
+      for(let i = 0; i < 3; ++i) {
+        const zcap = structuredClone(mockData.zcaps.alpha);
+        zcap.referenceId = `${zcap.referenceId}-${i}`;
+        zcap.capability.id = `${zcap.capability.id}-${i}`;
+        await brZcapStorage.zcaps.insert(zcap);
+        zcaps.push(zcap);
+      }
+    });
+    it('finds every zcap of a controller one page at a time', async () => {
+      const query = {controller: helpers.hash(zcaps[0].controller)};
+      const referenceIds = [];
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.findPage({query, limit: 2});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.records.should.have.length(2);
+      should.exist(result.cursor);
+      referenceIds.push(...result.records.map(({meta}) => meta.referenceId));
+
+      result = await brZcapStorage.zcaps.findPage({
+        query, limit: 2, cursor: result.cursor
+      });
+      result.records.should.have.length(1);
+      should.equal(result.cursor, null);
+      referenceIds.push(...result.records.map(({meta}) => meta.referenceId));
+      referenceIds.should.have.members(
+        zcaps.map(({referenceId}) => referenceId));
+    });
+    it('throws DataError on an invalid cursor', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.findPage({cursor: 'invalid'});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+  describe('iterate API', async () => {
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-zcap';
+      await helpers.removeCollection(collectionName);
+
+      for(let i = 0; i < 3; ++i) {
+        const zcap = structuredClone(mockData.zcaps.alpha);
+        zcap.referenceId = `${zcap.referenceId}-${i}`;
+        zcap.capability.id = `${zcap.capability.id}-${i}`;
+        await brZcapStorage.zcaps.insert(zcap);
+      }
+    });
+    it('iterates over every zcap that matches a query', async () => {
+      const query = {controller: helpers.hash(mockData.zcaps.alpha.controller)};
+      const records = [];
+      let err;
+      try {
+        for await (const record of brZcapStorage.zcaps.iterate({
+          query, options: {batchSize: 2}
+        })) {
+          records.push(record);
+        }
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      records.should.have.length(3);
+    });
+    it('stops iterating when the loop is exited early', async () => {
+      const records = [];
+      let err;
+      try {
+        for await (const record of brZcapStorage.zcaps.iterate()) {
+          records.push(record);
+          break;
+        }
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      records.should.have.length(1);
+    });
+  });
+  describe('update API', async () => {
+    let zcap;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-zcap';
+      await helpers.removeCollection(collectionName);
+
+      zcap = structuredClone(mockData.zcaps.alpha);
+      const {controller, referenceId, capability} = zcap;
+      await brZcapStorage.zcaps.insert({
+        controller,
+        referenceId,
+        capability
+      });
+    });
+    it('properly replaces a zcap', async () => {
+      const {controller, referenceId, capability} = zcap;
+      // cache the zcap by both `id` and `referenceId`
+      const before = await brZcapStorage.zcaps.get({controller, referenceId});
+      await brZcapStorage.zcaps.get({controller, id: capability.id});
+
+      const refreshed = {
+        ...capability,
+        id: 'urn:zcap:7e6d5c4b-3a29-4180-9f7e-6d5c4b3a2918',
+        expires: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      };
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.update({
+          controller, referenceId, capability: refreshed, sequence: 1
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.id.should.equal(helpers.hash(refreshed.id));
+      result.capability.should.eql(refreshed);
+      result.meta.sequence.should.equal(1);
+      result.meta.created.should.equal(before.meta.created);
+
+      // the cached zcap is replaced
+      const record = await brZcapStorage.zcaps.get({controller, referenceId});
+      record.capability.should.eql(refreshed);
+      record.meta.sequence.should.equal(1);
+      try {
+        await brZcapStorage.zcaps.get({controller, id: capability.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('returns InvalidStateError on unexpected sequence', async () => {
+      const {controller, referenceId, capability} = zcap;
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.update({
+          controller, referenceId, capability, sequence: 2
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+    });
+    it('returns InvalidStateError when no zcap is found', async () => {
+      const {controller, capability} = zcap;
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.update({
+          controller,
+          referenceId: 'urn:uuid:1d2c3b4a-5f6e-4d7c-8b9a-0f1e2d3c4b5a',
+          capability,
+          sequence: 1
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+    });
+  });
   describe('remove API', async () => {
     let zcap;
     beforeEach(async () => {
@@ -266,4 +571,127 @@ describe('zcaps API', () => {
         err.name.should.equal('TypeError');
       });
   });
+  describe('recomputeExpirations API', async () => {
+    beforeEach(async () => {
+      await helpers.removeCollection('zcap-storage-zcap');
+    });
+    it(`sets 'meta.expires' on zcaps stored without it`, async () => {
+      const zcap = structuredClone(mockData.zcaps.alpha);
+      const {controller, referenceId, capability} = zcap;
+      // a zcap that does not expire is left as it is
+      await brZcapStorage.zcaps.insert({
+        controller,
+        referenceId: 'urn:uuid:7c3b9e1d-2a4f-4e8b-b6d5-0f9a8c7e6d54',
+        capability: {
+          ...capability,
+          id: 'urn:zcap:3e9d7c5b-1a2f-4b6e-8d0c-4f2a6b8e0c19'
+        }
+      });
+      capability.expires = '2030-01-01T12:00:00+02:00';
+      await brZcapStorage.zcaps.insert({controller, referenceId, capability});
+
+      // simulate a zcap stored by an earlier version
+      const collection = database.collections['zcap-storage-zcap'];
+      await collection.updateOne({
+        controller: helpers.hash(controller),
+        referenceId: helpers.hash(referenceId)
+      }, {$unset: {'meta.expires': ''}});
+
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.recomputeExpirations({controller});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.updated.should.equal(1);
+
+      const [record] = await collection.find({
+        controller: helpers.hash(controller),
+        referenceId: helpers.hash(referenceId)
+      }).toArray();
+      record.meta.expires.should.be.an.instanceof(Date);
+      record.meta.expires.toISOString().should.equal(
+        '2030-01-01T10:00:00.000Z');
+    });
+  });
+  describe('warmCache API', async () => {
+    let zcap;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-zcap';
+      await helpers.removeCollection(collectionName);
+      await brZcapStorage.caches.clear({names: ['zcap']});
+
+      zcap = structuredClone(mockData.zcaps.alpha);
+      const {controller, referenceId, capability} = zcap;
+      await brZcapStorage.zcaps.insert({
+        controller,
+        referenceId,
+        capability
+      });
+    });
+    it('loads the unexpired zcaps of a controller into the cache',
+      async () => {
+        const {controller, referenceId, capability} = zcap;
+        // an expired zcap is not loaded
+        await brZcapStorage.zcaps.insert({
+          controller,
+          referenceId: 'urn:uuid:0b0e5c4a-6d3c-4d8e-9d2f-3a6f1c9e7b21',
+          capability: {
+            ...capability,
+            id: 'urn:zcap:5d1c2e0f-3f4b-4a8e-8c6d-9e7f0a1b2c3d',
+            expires: new Date(Date.now() - 1000).toISOString()
+          }
+        });
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.zcaps.warmCache({controller});
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.count.should.equal(1);
+
+        const before = brZcapStorage.caches.getStats().zcap;
+        await brZcapStorage.zcaps.get({controller, id: capability.id});
+        await brZcapStorage.zcaps.get({controller, referenceId});
+        const after = brZcapStorage.caches.getStats().zcap;
+        (after.hits - before.hits).should.equal(2);
+        (after.misses - before.misses).should.equal(0);
+      });
+    it('does not count expired zcaps toward the limit', async () => {
+      const {controller, capability} = zcap;
+      // insert expired zcaps that would otherwise fill the limit
+      for(let i = 0; i < 2; ++i) {
+        await brZcapStorage.zcaps.insert({
+          controller,
+          referenceId: `urn:uuid:expired-${i}`,
+          capability: {
+            ...capability,
+            id: `urn:zcap:expired-${i}`,
+            expires: new Date(Date.now() - 1000).toISOString()
+          }
+        });
+      }
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.zcaps.warmCache({controller, limit: 1});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.count.should.equal(1);
+
+      const before = brZcapStorage.caches.getStats().zcap;
+      await brZcapStorage.zcaps.get({controller, id: capability.id});
+      const after = brZcapStorage.caches.getStats().zcap;
+      (after.hits - before.hits).should.equal(1);
+    });
+  });
 });
@@ -4,6 +4,7 @@
 import * as brZcapStorage from '@bedrock/zcap-storage';
 import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
+import {config} from '@bedrock/core';
 import {mocks as mockData} from './mock-data.js';
 
 describe('revocation API', () => {
@@ -49,6 +50,90 @@ describe('revocation API', () => {
         findResult.should.have.length(1);
         findResult[0].capability.should.eql(revocation.capability);
       });
+    it('returns QuotaExceededError when over quota', async () => {
+      const rootTarget = 'https://example.com/edvs/quota';
+      const revocation = structuredClone(mockData.revocations.alpha);
+      revocation.rootTarget = rootTarget;
+      revocation.maxRevocations = 1;
+
+      // insert first revocation within quota
+      revocation.capability.id = 'urn:zcap:delegated:quota-1';
+      await brZcapStorage.revocations.insert(revocation);
+
+      // attempt to insert another revocation
+      let err;
+      let result;
+      try {
+        revocation.capability.id = 'urn:zcap:delegated:quota-2';
+        result = await brZcapStorage.revocations.insert(revocation);
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('QuotaExceededError');
+      err.details.rootTarget.should.equal(rootTarget);
+
+      // withdrawing the first revocation frees quota
+      await brZcapStorage.revocations.remove({
+        delegator: revocation.delegator,
+        capabilityId: 'urn:zcap:delegated:quota-1',
+        withdrawnBy: revocation.delegator,
+        reason: 'Freeing quota.'
+      });
+      err = undefined;
+      try {
+        result = await brZcapStorage.revocations.insert(revocation);
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+    });
+    it('does not exceed a stale quota with concurrent inserts', async () => {
+      const rootTarget = 'https://example.com/edvs/concurrent-quota';
+      const maxRevocations = 3;
+      const collection = database.collections['zcap-storage-revocation'];
+      const revocation = structuredClone(mockData.revocations.alpha);
+      revocation.rootTarget = rootTarget;
+      revocation.maxRevocations = maxRevocations;
+      for(const i of [1, 2]) {
+        revocation.capability.id = `urn:zcap:delegated:concurrent-quota-${i}`;
+        await brZcapStorage.revocations.insert(revocation);
+      }
+      // simulate the first revocation expiring from storage, which leaves the
+      // quota counter stale so that it is reconciled by the inserts below
+      await collection.deleteOne({
+        'capability.id': 'urn:zcap:delegated:concurrent-quota-1'
+      });
+
+      // delay inserts so that reconciling the counter happens while other
+      // reservations are still being inserted
+      collection.insertOne = async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return Object.getPrototypeOf(collection).insertOne.apply(
+          collection, args);
+      };
+      let results;
+      try {
+        results = await Promise.allSettled([0, 1, 2, 3, 4, 5].map(i => {
+          const options = structuredClone(revocation);
+          options.capability.id = `urn:zcap:delegated:concurrent-quota-p${i}`;
+          return brZcapStorage.revocations.insert(options);
+        }));
+      } finally {
+        delete collection.insertOne;
+      }
+      const inserted = results.filter(({status}) => status === 'fulfilled');
+      inserted.should.have.length(2);
+      for(const {status, reason} of results) {
+        if(status === 'rejected') {
+          reason.name.should.equal('QuotaExceededError');
+        }
+      }
+      const {count} = await brZcapStorage.revocations.count({rootTarget});
+      count.should.equal(maxRevocations);
+    });
     it('returns DuplicateError on same id and delegator', async () => {
       const revocation = structuredClone(mockData.revocations.beta);
 
@@ -66,6 +151,439 @@ describe('revocation API', () => {
       should.not.exist(result);
       should.exist(err);
       err.name.should.equal('DuplicateError');
+      err.details.should.include({
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator,
+        rootTarget: revocation.rootTarget,
+        httpStatusCode: 409,
+        public: true
+      });
+    });
+  });
+  describe('insert API w/ cascade', () => {
+    // a delegation chain `parent -> child -> grandchild` where each
+    // capability's controller delegated the next one
+    const rootTarget = 'https://example.com/edvs/cascade';
+    const parent = {
+      id: 'urn:zcap:delegated:0d0b5cfe-0c1e-4d47-a5c1-4c7a3c0e9b53',
+      controller: 'urn:uuid:6e1c9d6c-4a0b-4ff5-b5b9-5d2c8f2bd6b5',
+      parentCapability: `urn:zcap:root:${encodeURIComponent(rootTarget)}`,
+      invocationTarget: rootTarget
+    };
+    const child = {
+      id: 'urn:zcap:delegated:9ee3c4ff-4a9f-45f4-9c86-6f2e7e0d8c1e',
+      controller: 'urn:uuid:2b3fa8e5-5c3c-4d62-9a7c-cf4d3a9e6f20',
+      parentCapability: parent.id,
+      invocationTarget: rootTarget
+    };
+    const grandchild = {
+      id: 'urn:zcap:delegated:6a4dbb9a-3c1f-4b5b-8f5c-8d1a0e3bb3f1',
+      controller: 'urn:uuid:a7e0b6b6-8e5c-4c73-9c0a-1e9e3f0a6b2c',
+      parentCapability: child.id,
+      invocationTarget: rootTarget
+    };
+    const delegator = 'urn:uuid:0f4c1b1e-9a4e-4a59-8b0a-3c6fb3c9a1d7';
+    before(async () => {
+      await helpers.removeCollection('zcap-storage-revocation');
+      await helpers.removeCollection('zcap-storage-authorization');
+
+      for(const capability of [child, grandchild]) {
+        await brZcapStorage.authorizations.insert({
+          controller: delegator, capability
+        });
+      }
+    });
+    it('revokes all stored descendants of a capability', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.insert({
+          delegator, rootTarget, capability: parent, cascade: true
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+
+      const collection = database.collections['zcap-storage-revocation'];
+      const records = await collection.find({
+        'meta.revokedAncestor.capabilityId': parent.id
+      }).toArray();
+      records.should.have.length(2);
+
+      // a check with only the leaf summary detects the revoked ancestor
+      const revoked = await brZcapStorage.revocations.isRevoked({
+        capabilities: [{
+          capabilityId: grandchild.id,
+          delegator: child.controller
+        }]
+      });
+      revoked.should.equal(true);
+    });
+    it(`throws when 'capability.controller' is not given`, async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.insert({
+          delegator, rootTarget,
+          capability: {id: parent.id + '-no-controller'},
+          cascade: true
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+    });
+  });
+  describe('insertMany API', () => {
+    before(async () => {
+      const collectionName = 'zcap-storage-revocation';
+      await helpers.removeCollection(collectionName);
+    });
+    it('inserts many revocations and tolerates duplicates', async () => {
+      const existing = structuredClone(mockData.revocations.alpha);
+      await brZcapStorage.revocations.insert(existing);
+      const revocation = structuredClone(mockData.revocations.alpha);
+      revocation.capability.id = 'urn:zcap:delegated:bulk';
+      const revocations = [
+        existing, revocation, structuredClone(mockData.revocations.beta)
+      ];
+
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.insertMany({revocations});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.insertedCount.should.equal(2);
+      result.results.map(({status}) => status).should.deep.equal(
+        ['duplicate', 'inserted', 'inserted']);
+      result.results[1].should.deep.equal({
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator,
+        status: 'inserted'
+      });
+
+      const isRevoked = await brZcapStorage.revocations.isRevoked({
+        capabilities: revocations.map(({delegator, capability}) => ({
+          capabilityId: capability.id, delegator
+        }))
+      });
+      isRevoked.should.equal(true);
+    });
+    it('fails revocations that exceed a quota', async () => {
+      const {quota} = config['zcap-storage'].revocations;
+      const revocations = [];
+      for(let i = 0; i < 2; ++i) {
+        const revocation = structuredClone(mockData.revocations.alpha);
+        revocation.rootTarget = 'https://example.com/edvs/bulk-quota';
+        revocation.capability.id = `urn:zcap:delegated:bulk-quota-${i}`;
+        revocations.push(revocation);
+      }
+
+      let err;
+      let result;
+      quota.rootTargets[revocations[0].rootTarget] = 1;
+      try {
+        result = await brZcapStorage.revocations.insertMany({revocations});
+      } catch(e) {
+        err = e;
+      } finally {
+        delete quota.rootTargets[revocations[0].rootTarget];
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.insertedCount.should.equal(0);
+      for(const {status, error} of result.results) {
+        status.should.equal('failed');
+        error.name.should.equal('QuotaExceededError');
+      }
+    });
+  });
+  describe('wildcard API', () => {
+    const delegator = 'urn:uuid:7d3c6f5e-2b1a-4c9d-8e7f-6a5b4c3d2e1f';
+    const rootTarget = 'https://example.com/edvs/kill-switch';
+    afterEach(async () => {
+      await brZcapStorage.revocations.removeWildcard({delegator});
+      await brZcapStorage.revocations.removeWildcard({rootTarget});
+    });
+    it('revokes every zcap from a delegator', async () => {
+      const capabilities = [{
+        capabilityId: 'urn:zcap:delegated:kill-switch-1', delegator
+      }, {
+        capabilityId: 'urn:zcap:delegated:kill-switch-2', delegator,
+        rootTarget
+      }];
+      let statuses = await brZcapStorage.revocations.getStatus({
+        capabilities
+      });
+      statuses.map(({revoked}) => revoked).should.deep.equal([false, false]);
+
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.insertWildcard({delegator});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.wildcard.should.deep.equal({delegator, rootTarget: null});
+
+      statuses = await brZcapStorage.revocations.getStatus({capabilities});
+      statuses.map(({revoked}) => revoked).should.deep.equal([true, true]);
+    });
+    it('revokes every zcap for a root target before a date', async () => {
+      await brZcapStorage.revocations.insertWildcard({
+        rootTarget, notBefore: '2026-01-01T00:00:00Z'
+      });
+      const capabilities = [{
+        capabilityId: 'urn:zcap:delegated:kill-switch-1', delegator,
+        rootTarget, created: '2025-12-31T00:00:00Z'
+      }, {
+        capabilityId: 'urn:zcap:delegated:kill-switch-2', delegator,
+        rootTarget, created: '2026-01-02T00:00:00Z'
+      }, {
+        capabilityId: 'urn:zcap:delegated:kill-switch-3', delegator,
+        rootTarget: 'https://example.com/edvs/other'
+      }];
+      const statuses = await brZcapStorage.revocations.getStatus({
+        capabilities
+      });
+      statuses.map(({revoked}) => revoked).should.deep.equal(
+        [true, false, false]);
+      const isRevoked = await brZcapStorage.revocations.isRevoked({
+        capabilities: capabilities.slice(1)
+      });
+      isRevoked.should.equal(false);
+    });
+    it('no longer revokes zcaps after removal', async () => {
+      await brZcapStorage.revocations.insertWildcard({delegator, rootTarget});
+      const capabilities = [{
+        capabilityId: 'urn:zcap:delegated:kill-switch-1', delegator,
+        rootTarget
+      }];
+      let isRevoked = await brZcapStorage.revocations.isRevoked({
+        capabilities
+      });
+      isRevoked.should.equal(true);
+
+      const removed = await brZcapStorage.revocations.removeWildcard({
+        delegator, rootTarget
+      });
+      removed.should.equal(true);
+      isRevoked = await brZcapStorage.revocations.isRevoked({capabilities});
+      isRevoked.should.equal(false);
+    });
+    it('returns DuplicateError on same delegator and root target',
+      async () => {
+        await brZcapStorage.revocations.insertWildcard({delegator});
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.revocations.insertWildcard({
+            delegator
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+      });
+  });
+  describe('remove API', () => {
+    let revocation;
+    beforeEach(async () => {
+      await helpers.removeCollection('zcap-storage-revocation');
+      await helpers.removeCollection('zcap-storage-revocation-history');
+
+      revocation = structuredClone(mockData.revocations.alpha);
+      await brZcapStorage.revocations.insert(revocation);
+    });
+    it('withdraws a revocation and records a tombstone', async () => {
+      const capabilities = [{
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator
+      }];
+      // populate revocation cache
+      (await brZcapStorage.revocations.isRevoked({capabilities}))
+        .should.equal(true);
+
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.remove({
+          delegator: revocation.delegator,
+          capabilityId: revocation.capability.id,
+          withdrawnBy: revocation.delegator,
+          reason: 'Revoked by mistake.'
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.equal(true);
+      (await brZcapStorage.revocations.isRevoked({capabilities}))
+        .should.equal(false);
+
+      const withdrawals = await brZcapStorage.revocations.getWithdrawals({
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id
+      });
+      withdrawals.should.have.length(1);
+      withdrawals[0].withdrawal.withdrawnBy.should.equal(
+        revocation.delegator);
+      withdrawals[0].withdrawal.reason.should.equal('Revoked by mistake.');
+      withdrawals[0].revocation.capability.should.eql(revocation.capability);
+    });
+    it('does not withdraw a revocation for another delegator', async () => {
+      let result;
+      let err;
+      // an unknown delegator
+      const delegator = '1c1f1b8e-3f0e-4b5e-8d8b-6c5a7d1e2f3a';
+      try {
+        result = await brZcapStorage.revocations.remove({
+          delegator,
+          capabilityId: revocation.capability.id,
+          withdrawnBy: delegator,
+          reason: 'Revoked by mistake.'
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.equal(false);
+      const withdrawals = await brZcapStorage.revocations.getWithdrawals({
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id
+      });
+      withdrawals.should.have.length(0);
+    });
+    it('throws NotAllowedError when not withdrawn by the delegator',
+      async () => {
+        let result;
+        let err;
+        try {
+          result = await brZcapStorage.revocations.remove({
+            delegator: revocation.delegator,
+            capabilityId: revocation.capability.id,
+            withdrawnBy: 'urn:uuid:4a1f7c0e-3b8d-4f2a-9c5e-7d6b8a9f0e1c',
+            reason: 'Revoked by mistake.'
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+        const capabilities = [{
+          capabilityId: revocation.capability.id,
+          delegator: revocation.delegator
+        }];
+        (await brZcapStorage.revocations.isRevoked({capabilities}))
+          .should.equal(true);
+      });
+    it('records one tombstone for concurrent withdrawals', async () => {
+      const options = {
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id,
+        withdrawnBy: revocation.delegator,
+        reason: 'Revoked by mistake.'
+      };
+      let results;
+      let err;
+      try {
+        results = await Promise.all([
+          brZcapStorage.revocations.remove(options),
+          brZcapStorage.revocations.remove(options)
+        ]);
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(results);
+      results.filter(r => r).should.have.length(1);
+      const withdrawals = await brZcapStorage.revocations.getWithdrawals({
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id
+      });
+      withdrawals.should.have.length(1);
+    });
+    it('records the withdrawal before removing the revocation', async () => {
+      const options = {
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id,
+        withdrawnBy: revocation.delegator,
+        reason: 'Revoked by mistake.'
+      };
+      const capabilities = [{
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator
+      }];
+      // fail the removal after the tombstone has been written
+      const collection = database.collections['zcap-storage-revocation'];
+      collection.deleteOne = async () => {
+        throw new Error('Simulated failure.');
+      };
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.remove(options);
+      } catch(e) {
+        err = e;
+      } finally {
+        delete collection.deleteOne;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      (await brZcapStorage.revocations.isRevoked({capabilities}))
+        .should.equal(true);
+      let withdrawals = await brZcapStorage.revocations.getWithdrawals({
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id
+      });
+      withdrawals.should.have.length(1);
+
+      // retrying the withdrawal removes the revocation and keeps the
+      // existing tombstone
+      err = null;
+      try {
+        result = await brZcapStorage.revocations.remove(options);
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.should.equal(true);
+      (await brZcapStorage.revocations.isRevoked({capabilities}))
+        .should.equal(false);
+      withdrawals = await brZcapStorage.revocations.getWithdrawals({
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id
+      });
+      withdrawals.should.have.length(1);
+    });
+    it(`throws when no 'reason' is provided`, async () => {
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.remove({
+          delegator: revocation.delegator,
+          capabilityId: revocation.capability.id,
+          withdrawnBy: revocation.delegator
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
     });
   });
   describe('count API', () => {
@@ -93,6 +611,227 @@ describe('revocation API', () => {
         result.count.should.equal(1);
       });
   });
+  describe('recomputeExpirations API', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let retention;
+    let expiring;
+    let nonExpiring;
+    before(async () => {
+      const collectionName = 'zcap-storage-revocation';
+      await helpers.removeCollection(collectionName);
+
+      retention = {...config['zcap-storage'].revocations.retention};
+      expiring = structuredClone(mockData.revocations.gamma);
+      await brZcapStorage.revocations.insert(expiring);
+      nonExpiring = structuredClone(mockData.revocations.alpha);
+      await brZcapStorage.revocations.insert(nonExpiring);
+    });
+    after(async () => {
+      config['zcap-storage'].revocations.retention = retention;
+    });
+    it('recomputes expirations using the retention config', async () => {
+      config['zcap-storage'].revocations.retention = {
+        gracePeriod: 30 * day,
+        maxRetention: 90 * day
+      };
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.recomputeExpirations();
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.updated.should.equal(2);
+
+      const collection = database.collections['zcap-storage-revocation'];
+      const record1 = await collection.findOne({
+        'capability.id': expiring.capability.id
+      });
+      record1.meta.expires.getTime().should.equal(
+        Date.parse(expiring.capability.expires) + 30 * day);
+      const record2 = await collection.findOne({
+        'capability.id': nonExpiring.capability.id
+      });
+      record2.meta.expires.getTime().should.equal(
+        record2.meta.created + 90 * day);
+    });
+    it('removes expirations when there is no max retention', async () => {
+      config['zcap-storage'].revocations.retention = {
+        gracePeriod: 30 * day,
+        maxRetention: null
+      };
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.recomputeExpirations({
+          rootTarget: nonExpiring.rootTarget
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.updated.should.equal(1);
+
+      const collection = database.collections['zcap-storage-revocation'];
+      const record = await collection.findOne({
+        'capability.id': nonExpiring.capability.id
+      });
+      should.not.exist(record.meta.expires);
+    });
+    it('applies the retention config to new revocations', async () => {
+      config['zcap-storage'].revocations.retention = {
+        gracePeriod: 30 * day,
+        maxRetention: 90 * day
+      };
+      const revocation = structuredClone(mockData.revocations.alpha);
+      revocation.capability.id = 'urn:zcap:delegated:retention';
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.revocations.insert(revocation);
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.meta.expires.getTime().should.equal(
+        result.meta.created + 90 * day);
+    });
+  });
+  describe('find API', () => {
+    let revocation;
+    before(async () => {
+      const collectionName = 'zcap-storage-revocation';
+      await helpers.removeCollection(collectionName);
+
+      revocation = structuredClone(mockData.revocations.alpha);
+      await brZcapStorage.revocations.insert(revocation);
+    });
+    it('finds revocations that match a query', async () => {
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.find({
+          query: {'meta.rootTarget': revocation.rootTarget}
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.have.length(1);
+      result[0].capability.should.eql(revocation.capability);
+    });
+  });
+  describe('list API', () => {
+    const rootTarget = 'https://example.com/edvs/list';
+    const delegators = [
+      'urn:uuid:1f7e0f5e-6e8b-4d36-9e0b-8d6b1d0d0c11',
+      'urn:uuid:8c9b5d2a-2f4c-4b0f-a1a6-2b7c3f7c3e22'
+    ];
+    before(async () => {
+      const collectionName = 'zcap-storage-revocation';
+      await helpers.removeCollection(collectionName);
+
+      for(let i = 0; i < 5; ++i) {
+        await brZcapStorage.revocations.insert({
+          rootTarget,
+          delegator: delegators[i % 2],
+          capability: {id: `urn:zcap:delegated:list-${i}`}
+        });
+      }
+      // a revocation for another root target
+      await brZcapStorage.revocations.insert(
+        structuredClone(mockData.revocations.alpha));
+    });
+    it('lists all revocations for a root target in pages', async () => {
+      const ids = [];
+      let cursor;
+      let pages = 0;
+      let err;
+      try {
+        do {
+          const result = await brZcapStorage.revocations.list({
+            rootTarget, limit: 2, cursor
+          });
+          result.records.length.should.be.at.most(2);
+          ids.push(...result.records.map(({capability}) => capability.id));
+          cursor = result.cursor ?? undefined;
+          pages++;
+        } while(cursor);
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      pages.should.equal(3);
+      ids.should.have.length(5);
+      new Set(ids).size.should.equal(5);
+    });
+    it(`lists revocations filtered by 'delegator'`, async () => {
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.list({
+          rootTarget, delegator: delegators[1]
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.records.should.have.length(2);
+      should.not.exist(result.cursor);
+      for(const record of result.records) {
+        record.meta.delegator.should.equal(delegators[1]);
+      }
+    });
+    it('lists revocations filtered by creation date', async () => {
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.list({
+          rootTarget, createdAfter: Date.now() + 60 * 1000
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.records.should.have.length(0);
+    });
+    it('throws DataError on an invalid cursor', async () => {
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.list({
+          rootTarget, cursor: 'invalid'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+    it('throws DataError on a cursor with a query operator', async () => {
+      // a well-formed cursor except that its last value is an object
+      const cursor = Buffer.from(JSON.stringify(
+        [rootTarget, 'urn:uuid:delegator', {$ne: null}])).toString('base64url');
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.list({rootTarget, cursor});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
   describe('isRevoked API', () => {
     let revocation;
     let revocation2;
@@ -210,4 +949,37 @@ describe('revocation API', () => {
       result2.should.be.true;
     });
   });
+  describe('getStatus API', () => {
+    let revocation;
+    before(async () => {
+      const collectionName = 'zcap-storage-revocation';
+      await helpers.removeCollection(collectionName);
+
+      revocation = structuredClone(mockData.revocations.alpha);
+      revocation.capability.id = 'b2a3a0de-1d35-4f7a-9f68-0a2f0f4f4a8b';
+      await brZcapStorage.revocations.insert(revocation);
+    });
+    it('returns the revocation status of each capability', async () => {
+      const capabilities = [{
+        capabilityId: revocation.capability.id + '-not-revoked',
+        delegator: revocation.delegator
+      }, {
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator
+      }];
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.revocations.getStatus({capabilities});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.deep.equal([
+        {...capabilities[0], revoked: false},
+        {...capabilities[1], revoked: true}
+      ]);
+    });
+  });
 });
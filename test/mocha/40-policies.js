@@ -61,6 +61,125 @@ describe('zcap policies API', () => {
       findResult[0].policy.controller.should.eql(policy.controller);
       findResult[0].policy.delegate.should.eql(policy.delegate);
     });
+    it('properly inserts a policy with refresh constraints', async () => {
+      let err;
+      let result;
+      const policy = structuredClone(mockData.policies.alpha);
+      policy.refresh.constraints = {
+        maxTtlBeforeRefresh: 24 * 60 * 60 * 1000,
+        maxTtl: 7 * 24 * 60 * 60 * 1000,
+        allowedActions: ['read'],
+        allowedInvocationTargets: ['https://example.com/edvs/123'],
+        maxChainDepth: 2
+      };
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.refresh.should.deep.equal(policy.refresh);
+    });
+    it('returns TypeError on an unknown refresh constraint', async () => {
+      let err;
+      let result;
+      const policy = structuredClone(mockData.policies.alpha);
+      policy.refresh.constraints.maxTTL = 1000;
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+    it('returns an error on a malformed refresh constraint', async () => {
+      let err;
+      let result;
+      const policy = structuredClone(mockData.policies.alpha);
+      policy.refresh.constraints.allowedActions = 'read';
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+    });
+    it('properly inserts a policy with delegation constraints', async () => {
+      let err;
+      let result;
+      const policy = structuredClone(mockData.policies.gamma);
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.delegation.should.deep.equal(policy.delegation);
+    });
+    it(`throws on invalid 'delegation' constraints`, async () => {
+      const policy = structuredClone(mockData.policies.gamma);
+      policy.delegation.constraints.allowedActions = 'read';
+
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+    });
+    it('properly inserts a policy with time bounds', async () => {
+      let err;
+      let result;
+      const policy = structuredClone(mockData.policies.alpha);
+      policy.notBefore = new Date().toISOString();
+      policy.expires = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.eql(policy);
+      result.meta.expires.should.eql(new Date(policy.expires));
+    });
+    it(`returns TypeError on an invalid 'expires' date`, async () => {
+      let err;
+      let result;
+      const policy = structuredClone(mockData.policies.alpha);
+      policy.expires = 'tomorrow';
+      try {
+        result = await brZcapStorage.policies.insert({policy});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+    it(`returns TypeError when 'notBefore' is not before 'expires'`,
+      async () => {
+        let err;
+        let result;
+        const policy = structuredClone(mockData.policies.alpha);
+        policy.notBefore = policy.expires = new Date().toISOString();
+        try {
+          result = await brZcapStorage.policies.insert({policy});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
     it(`throws when 'sequence' is not zero`, async () => {
       const policy = structuredClone(mockData.policies.alpha);
       policy.sequence = 1;
@@ -93,6 +212,13 @@ describe('zcap policies API', () => {
         should.not.exist(result);
         should.exist(err);
         err.name.should.equal('DuplicateError');
+        err.message.should.equal('Duplicate zcap policy.');
+        err.details.should.include({
+          controller: policy.controller,
+          delegate: policy.delegate,
+          httpStatusCode: 409,
+          public: true
+        });
       });
   });
   describe('count API', async () => {
@@ -118,6 +244,20 @@ describe('zcap policies API', () => {
         should.exist(result);
         result.count.should.equal(1);
       });
+    it(`properly gets a policy count for 'delegate'`,
+      async () => {
+        const {delegate} = policy;
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.policies.count({delegate});
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.count.should.equal(1);
+      });
     it(`throws when no 'controller' is provided`, async () => {
       let err;
       let result;
@@ -130,6 +270,153 @@ describe('zcap policies API', () => {
       should.exist(err);
     });
   });
+  describe('list API', async () => {
+    const controllers = [
+      'urn:uuid:4c0c56f2-3b6b-4a2e-8f1e-0e6a1c8a5b01',
+      'urn:uuid:4c0c56f2-3b6b-4a2e-8f1e-0e6a1c8a5b02',
+      'urn:uuid:4c0c56f2-3b6b-4a2e-8f1e-0e6a1c8a5b03'
+    ];
+    const {delegate} = mockData.policies.alpha;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-policy';
+      await helpers.removeCollection(collectionName);
+
+      for(const controller of controllers) {
+        await brZcapStorage.policies.insert({
+          policy: {...mockData.policies.alpha, controller}
+        });
+      }
+      await brZcapStorage.policies.insert({
+        policy: {
+          ...mockData.policies.alpha,
+          controller: controllers[0],
+          delegate: mockData.actors.alpha.id
+        }
+      });
+    });
+    it('lists the policies for a delegate one page at a time', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.list({delegate, limit: 2});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.records.map(({policy}) => policy.controller).should.eql(
+        controllers.slice(0, 2));
+      should.exist(result.cursor);
+
+      result = await brZcapStorage.policies.list({
+        delegate, limit: 2, cursor: result.cursor
+      });
+      result.records.map(({policy}) => policy.controller).should.eql(
+        controllers.slice(2));
+      should.equal(result.cursor, null);
+    });
+    it('lists the policies for a controller', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.list({
+          controller: controllers[0]
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.records.map(({policy}) => policy.delegate).should.eql(
+        [mockData.actors.alpha.id, delegate].sort());
+      should.equal(result.cursor, null);
+      result.records[0].should.have.keys(['meta', 'policy']);
+    });
+    it(`throws when neither 'controller' nor 'delegate' is given`,
+      async () => {
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.policies.list({});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+    it('throws DataError on an invalid cursor', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.list({
+          delegate, cursor: 'invalid'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+  describe('findPage API', async () => {
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-policy';
+      await helpers.removeCollection(collectionName);
+
+      for(let i = 0; i < 3; ++i) {
+        await brZcapStorage.policies.insert({
+          policy: {...mockData.policies.alpha, delegate: `urn:uuid:${i}`}
+        });
+      }
+    });
+    it('finds the policies that match a query one page at a time',
+      async () => {
+        const query = {'policy.controller': mockData.policies.alpha.controller};
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.policies.findPage({query, limit: 2});
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.records.map(({policy}) => policy.delegate).should.eql(
+          ['urn:uuid:0', 'urn:uuid:1']);
+        should.exist(result.cursor);
+
+        result = await brZcapStorage.policies.findPage({
+          query, limit: 2, cursor: result.cursor
+        });
+        result.records.map(({policy}) => policy.delegate).should.eql(
+          ['urn:uuid:2']);
+        should.equal(result.cursor, null);
+      });
+  });
+  describe('iterate API', async () => {
+    it('iterates over every policy that matches a query', async () => {
+      const collectionName = 'zcap-storage-policy';
+      await helpers.removeCollection(collectionName);
+      const policy = structuredClone(mockData.policies.alpha);
+      await brZcapStorage.policies.insert({policy});
+
+      const query = {'policy.controller': policy.controller};
+      const records = [];
+      let err;
+      try {
+        for await (const record of brZcapStorage.policies.iterate({query})) {
+          records.push(record);
+        }
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      records.should.have.length(1);
+      records[0].policy.should.eql(policy);
+    });
+  });
   describe('get API', async () => {
     let policy;
     beforeEach(async () => {
@@ -190,6 +477,444 @@ describe('zcap policies API', () => {
       should.exist(err);
       err.name.should.equal('NotFoundError');
     });
+    it('caches NotFoundError until the policy is inserted', async () => {
+      const newPolicy = {
+        ...structuredClone(policy),
+        delegate: 'urn:uuid:a3c1e0b2-6f4d-4e8a-9b7c-1d2e3f4a5b6c'
+      };
+      const {controller, delegate} = newPolicy;
+      const before = brZcapStorage.caches.getStats().policyNotFound;
+      for(let i = 0; i < 2; ++i) {
+        let err;
+        try {
+          await brZcapStorage.policies.get({controller, delegate});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      }
+      const after = brZcapStorage.caches.getStats().policyNotFound;
+      (after.misses - before.misses).should.equal(1);
+      (after.hits - before.hits).should.equal(1);
+
+      await brZcapStorage.policies.insert({policy: newPolicy});
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({controller, delegate});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.eql(newPolicy);
+    });
+  });
+  describe('get API with time bounds', async () => {
+    const controller = mockData.actors.alpha.id;
+    const delegate = mockData.actors.beta.id;
+    const inOneHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-policy';
+      await helpers.removeCollection(collectionName);
+    });
+    it('gets an active policy', async () => {
+      const policy = {
+        sequence: 0, controller, delegate, refresh: false,
+        notBefore: oneHourAgo, expires: inOneHour
+      };
+      await brZcapStorage.policies.insert({policy});
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({controller, delegate});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.eql(policy);
+      result.meta.status.should.equal('active');
+    });
+    it('throws NotFoundError for a policy that is not yet active',
+      async () => {
+        const policy = {
+          sequence: 0, controller, delegate, refresh: false,
+          notBefore: inOneHour
+        };
+        await brZcapStorage.policies.insert({policy});
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.policies.get({controller, delegate});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+    it('throws NotFoundError for an expired policy', async () => {
+      const policy = {
+        sequence: 0, controller, delegate, refresh: false,
+        expires: oneHourAgo
+      };
+      await brZcapStorage.policies.insert({policy});
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({controller, delegate});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it(`gets an inactive policy with 'includeInactive=true'`, async () => {
+      const policy = {
+        sequence: 0, controller, delegate, refresh: false,
+        expires: oneHourAgo
+      };
+      await brZcapStorage.policies.insert({policy});
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({
+          controller, delegate, includeInactive: true
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.eql(policy);
+      result.meta.status.should.equal('expired');
+    });
+    it('falls back to a pattern policy when a policy expires', async () => {
+      const defaultPolicy = {
+        sequence: 0, controller, delegate: '*', refresh: false
+      };
+      await brZcapStorage.policies.insert({policy: defaultPolicy});
+      await brZcapStorage.policies.insert({
+        policy: {
+          sequence: 0, controller, delegate, refresh: {},
+          expires: oneHourAgo
+        }
+      });
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({controller, delegate});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.eql(defaultPolicy);
+    });
+    it(`removes 'meta.expires' when 'expires' is removed`, async () => {
+      const policy = {
+        sequence: 0, controller, delegate, refresh: false,
+        expires: inOneHour
+      };
+      await brZcapStorage.policies.insert({policy});
+      const {expires, ...updated} = {...policy, sequence: 1};
+      should.exist(expires);
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.update({policy: updated});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      should.not.exist(result.meta.expires);
+    });
+  });
+  describe('get API with delegate patterns', async () => {
+    const controller = mockData.actors.alpha.id;
+    const delegate = 'did:web:example.com:users:alice';
+    let defaultPolicy;
+    let patternPolicy;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-policy';
+      await helpers.removeCollection(collectionName);
+
+      defaultPolicy = {
+        sequence: 0, controller, delegate: '*', refresh: false
+      };
+      patternPolicy = {
+        sequence: 0, controller, delegate: 'did:web:example.com:*',
+        refresh: {constraints: {maxTtlBeforeRefresh: 1000}}
+      };
+      await brZcapStorage.policies.insert({policy: defaultPolicy});
+      await brZcapStorage.policies.insert({policy: patternPolicy});
+    });
+    it('gets the policy with the longest matching pattern', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({controller, delegate});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.deep.equal(patternPolicy);
+    });
+    it('gets the default policy', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({
+          controller, delegate: 'did:web:other.example:users:bob'
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.deep.equal(defaultPolicy);
+    });
+    it('prefers the policy for the delegate', async () => {
+      const policy = {sequence: 0, controller, delegate, refresh: false};
+      await brZcapStorage.policies.insert({policy});
+      const result = await brZcapStorage.policies.get({controller, delegate});
+      result.policy.should.deep.equal(policy);
+    });
+    it('gets an updated pattern policy', async () => {
+      await brZcapStorage.policies.get({controller, delegate});
+      const policy = {...patternPolicy, sequence: 1, refresh: false};
+      await brZcapStorage.policies.update({policy});
+      const result = await brZcapStorage.policies.get({controller, delegate});
+      result.policy.should.deep.equal(policy);
+    });
+    it(`returns NotFoundError when 'fallback=false'`, async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.get({
+          controller, delegate, fallback: false
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('returns TypeError on an invalid delegate pattern', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.insert({
+          policy: {...defaultPolicy, delegate: 'did:*:example.com'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+  });
+  describe('evaluateDelegation API', async () => {
+    const now = Date.now();
+    const capability = {
+      id: 'urn:zcap:delegated:b6a4a3b2-5c0e-4fb5-8a63-7c0b1e8c1e3a',
+      controller: mockData.actors.beta.id,
+      allowedAction: 'read',
+      expires: new Date(now + 60 * 60 * 1000).toISOString(),
+      proof: {
+        type: 'Ed25519Signature2020',
+        created: new Date(now).toISOString(),
+        proofPurpose: 'capabilityDelegation'
+      }
+    };
+    it('allows a delegation when the policy has no delegation rules',
+      async () => {
+        const policy = structuredClone(mockData.policies.alpha);
+        const result = brZcapStorage.policies.evaluateDelegation({
+          policy, capability
+        });
+        result.allowed.should.equal(true);
+      });
+    it('allows a delegation that meets the constraints', async () => {
+      const policy = structuredClone(mockData.policies.gamma);
+      const result = brZcapStorage.policies.evaluateDelegation({
+        policy, capability
+      });
+      result.allowed.should.equal(true);
+    });
+    it(`does not allow a delegation when 'delegation=false'`, async () => {
+      const policy = structuredClone(mockData.policies.gamma);
+      policy.delegation = false;
+      const result = brZcapStorage.policies.evaluateDelegation({
+        policy, capability
+      });
+      result.allowed.should.equal(false);
+      result.reason.should.be.a('string');
+    });
+    it('does not allow a delegation with a disallowed action', async () => {
+      const policy = structuredClone(mockData.policies.gamma);
+      const result = brZcapStorage.policies.evaluateDelegation({
+        policy, capability: {...capability, allowedAction: ['read', 'write']}
+      });
+      result.allowed.should.equal(false);
+      result.reason.should.be.a('string');
+    });
+    it('does not allow a delegation with a TTL that is too long', async () => {
+      const policy = structuredClone(mockData.policies.gamma);
+      const expires = new Date(now + 2 * 24 * 60 * 60 * 1000).toISOString();
+      const result = brZcapStorage.policies.evaluateDelegation({
+        policy, capability: {...capability, expires}
+      });
+      result.allowed.should.equal(false);
+      result.reason.should.be.a('string');
+    });
+    it('measures the TTL from the delegation proof in a proof array',
+      async () => {
+        const policy = structuredClone(mockData.policies.gamma);
+        const created = new Date(now - 2 * 24 * 60 * 60 * 1000).toISOString();
+        const result = brZcapStorage.policies.evaluateDelegation({
+          policy,
+          capability: {
+            ...capability,
+            proof: [
+              {type: 'Ed25519Signature2020', proofPurpose: 'assertionMethod'},
+              {...capability.proof, created}
+            ]
+          }
+        });
+        result.allowed.should.equal(false);
+        result.reason.should.be.a('string');
+      });
+    it('does not allow a delegation with an unknown TTL', async () => {
+      const policy = structuredClone(mockData.policies.gamma);
+      const {created, ...proof} = capability.proof;
+      should.exist(created);
+      const result = brZcapStorage.policies.evaluateDelegation({
+        policy, capability: {...capability, proof: [proof]}
+      });
+      result.allowed.should.equal(false);
+      result.reason.should.contain('could not be determined');
+    });
+  });
+  describe('evaluateRefresh API', async () => {
+    const now = Date.now();
+    const invocationTarget = 'https://example.com/edvs/123';
+    const capability = {
+      id: 'urn:zcap:delegated:0c5a7e2d-9b3f-4e1a-8d6c-2f4b6a8c0e1d',
+      controller: mockData.actors.beta.id,
+      allowedAction: 'read',
+      invocationTarget,
+      expires: new Date(now + 60 * 60 * 1000).toISOString()
+    };
+    const newCapability = {
+      ...capability,
+      id: 'urn:zcap:delegated:7f9b1d3e-5a2c-4b8e-9d0f-3c5e7a9b1d2f',
+      invocationTarget: `${invocationTarget}/documents`,
+      expires: new Date(now + 24 * 60 * 60 * 1000).toISOString(),
+      proof: {
+        proofPurpose: 'capabilityDelegation',
+        capabilityChain: [`urn:zcap:root:${encodeURIComponent(
+          invocationTarget)}`]
+      }
+    };
+    let policy;
+    beforeEach(() => {
+      policy = structuredClone(mockData.policies.alpha);
+      policy.refresh.constraints = {
+        maxTtlBeforeRefresh: 2 * 60 * 60 * 1000,
+        maxTtl: 7 * 24 * 60 * 60 * 1000,
+        allowedActions: ['read'],
+        allowedInvocationTargets: [invocationTarget],
+        maxChainDepth: 1
+      };
+    });
+    it('allows a refresh that meets the constraints', async () => {
+      const result = brZcapStorage.policies.evaluateRefresh({
+        policy, capability, newCapability, now
+      });
+      result.allowed.should.equal(true);
+    });
+    it(`does not allow a refresh when 'refresh=false'`, async () => {
+      policy.refresh = false;
+      const result = brZcapStorage.policies.evaluateRefresh({
+        policy, capability, now
+      });
+      result.allowed.should.equal(false);
+      result.reason.should.be.a('string');
+    });
+    it('does not allow a refresh before "maxTtlBeforeRefresh"', async () => {
+      policy.refresh.constraints.maxTtlBeforeRefresh = 1000;
+      const result = brZcapStorage.policies.evaluateRefresh({
+        policy, capability, now
+      });
+      result.allowed.should.equal(false);
+      result.reason.should.be.a('string');
+    });
+    it('does not allow a refreshed capability with another controller',
+      async () => {
+        const result = brZcapStorage.policies.evaluateRefresh({
+          policy, capability,
+          newCapability: {...newCapability, controller: 'urn:other'},
+          now
+        });
+        result.allowed.should.equal(false);
+        result.reason.should.be.a('string');
+      });
+    it('does not allow a refreshed capability with a disallowed action',
+      async () => {
+        const result = brZcapStorage.policies.evaluateRefresh({
+          policy, capability,
+          newCapability: {...newCapability, allowedAction: 'write'},
+          now
+        });
+        result.allowed.should.equal(false);
+        result.reason.should.be.a('string');
+      });
+    it('does not allow a refreshed capability with a disallowed target',
+      async () => {
+        const result = brZcapStorage.policies.evaluateRefresh({
+          policy, capability,
+          newCapability: {
+            ...newCapability,
+            invocationTarget: `${invocationTarget}4`
+          },
+          now
+        });
+        result.allowed.should.equal(false);
+        result.reason.should.be.a('string');
+      });
+    it('does not allow a refreshed capability with a TTL that is too long',
+      async () => {
+        const expires = new Date(now + 8 * 24 * 60 * 60 * 1000).toISOString();
+        const result = brZcapStorage.policies.evaluateRefresh({
+          policy, capability, newCapability: {...newCapability, expires}, now
+        });
+        result.allowed.should.equal(false);
+        result.reason.should.be.a('string');
+      });
+    it('does not allow a refreshed capability with a chain that is too deep',
+      async () => {
+        const proof = {
+          ...newCapability.proof,
+          capabilityChain: [
+            ...newCapability.proof.capabilityChain,
+            capability.id
+          ]
+        };
+        const result = brZcapStorage.policies.evaluateRefresh({
+          policy, capability, newCapability: {...newCapability, proof}, now
+        });
+        result.allowed.should.equal(false);
+        result.reason.should.be.a('string');
+      });
   });
   describe('update API', async () => {
     beforeEach(async () => {
@@ -235,6 +960,13 @@ describe('zcap policies API', () => {
       should.not.exist(result);
       should.exist(err);
       err.name.should.equal('InvalidStateError');
+      err.details.should.include({
+        controller: policy.controller,
+        delegate: policy.delegate,
+        sequence: 2,
+        httpStatusCode: 409,
+        public: true
+      });
     });
   });
   describe('remove API', async () => {
@@ -318,4 +1050,124 @@ describe('zcap policies API', () => {
       should.exist(err);
     });
   });
+  describe('history API', async () => {
+    let policy;
+    beforeEach(async () => {
+      await helpers.removeCollection('zcap-storage-policy');
+      await helpers.removeCollection('zcap-storage-policy-history');
+
+      policy = structuredClone(mockData.policies.alpha);
+      await brZcapStorage.policies.insert({
+        policy, changedBy: mockData.actors.alpha.id
+      });
+    });
+    it('gets the history of a policy', async () => {
+      const {controller, delegate} = policy;
+      await brZcapStorage.policies.update({
+        policy: {...policy, sequence: 1, refresh: false}
+      });
+      await brZcapStorage.policies.remove({
+        controller, delegate, changedBy: mockData.actors.beta.id
+      });
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.getHistory({
+          controller, delegate
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.map(({meta}) => meta.operation).should.eql([
+        'insert', 'update', 'remove'
+      ]);
+      result.map(({meta}) => meta.previousSequence).should.eql([null, 0, 1]);
+      result[0].meta.changedBy.should.equal(mockData.actors.alpha.id);
+      should.not.exist(result[1].meta.changedBy);
+      result[2].meta.changedBy.should.equal(mockData.actors.beta.id);
+      result[0].policy.should.eql(policy);
+      result[1].policy.refresh.should.equal(false);
+      result[2].policy.sequence.should.equal(1);
+    });
+    it('does not record a failed update', async () => {
+      const {controller, delegate} = policy;
+      let err;
+      try {
+        await brZcapStorage.policies.update({policy: {...policy, sequence: 2}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      const history = await brZcapStorage.policies.getHistory({
+        controller, delegate
+      });
+      history.should.have.length(1);
+    });
+    it('rolls back a policy to a previous version', async () => {
+      const {controller, delegate} = policy;
+      await brZcapStorage.policies.update({
+        policy: {...policy, sequence: 1, refresh: false}
+      });
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.rollback({
+          controller, delegate, sequence: 0,
+          changedBy: mockData.actors.alpha.id
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.policy.should.eql({...policy, sequence: 2});
+
+      const record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.should.eql(result.policy);
+
+      const history = await brZcapStorage.policies.getHistory({
+        controller, delegate
+      });
+      history.should.have.length(3);
+      history[2].meta.operation.should.equal('rollback');
+      history[2].meta.previousSequence.should.equal(1);
+      history[2].meta.rolledBackTo.should.equal(0);
+      history[2].policy.should.eql(result.policy);
+    });
+    it('throws NotFoundError when rolling back to an unknown version',
+      async () => {
+        const {controller, delegate} = policy;
+        let err;
+        let result;
+        try {
+          result = await brZcapStorage.policies.rollback({
+            controller, delegate, sequence: 5
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+    it('throws NotFoundError when rolling back a removed policy', async () => {
+      const {controller, delegate} = policy;
+      await brZcapStorage.policies.remove({controller, delegate});
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.policies.rollback({
+          controller, delegate, sequence: 0
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
 });
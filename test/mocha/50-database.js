@@ -251,6 +251,24 @@ describe('ZCaps Database Tests', () => {
         executionStats.executionStages.inputStage.keyPattern.should.eql({
           controller: 1, id: 1});
       });
+    it(`is properly indexed for 'controller' in findPage()`, async () => {
+      const {controller} = mockData.zcaps.alpha;
+      const {executionStats} = await brZcapStorage.zcaps.findPage({
+        query: {controller: helpers.hash(controller)},
+        limit: 1,
+        explain: true
+      });
+      // one more record than `limit` is fetched to detect a next page and
+      // no more are examined as the sort is covered by the index
+      executionStats.nReturned.should.equal(2);
+      executionStats.totalKeysExamined.should.equal(2);
+      executionStats.totalDocsExamined.should.equal(2);
+      executionStats.executionStages.stage.should.equal('LIMIT');
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage.keyPattern
+        .should.eql({controller: 1, referenceId: 1});
+    });
   });
 });
 
@@ -301,6 +319,23 @@ describe('Policy Database Tests', () => {
           'policy.delegate': 1
         });
       });
+    it(`is properly indexed for 'delegate' in list()`, async () => {
+      const {delegate} = mockData.policies.alpha;
+      const {executionStats} = await brZcapStorage.policies.list({
+        delegate,
+        explain: true
+      });
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage.inputStage
+        .keyPattern.should.eql({
+          'policy.delegate': 1,
+          'policy.controller': 1
+        });
+    });
   });
 });
 
@@ -346,5 +381,23 @@ describe('Revocation Database Tests', () => {
       executionStats.executionStages.inputStage.inputStage.inputStage
         .keyPattern.should.eql({'meta.delegator': 1, 'capability.id': 1});
     });
+    it(`is properly indexed for 'meta.rootTarget' and 'meta.delegator' in ` +
+      'list()', async () => {
+      const {rootTarget, delegator} = mockData.revocations.alpha;
+      const {executionStats} = await brZcapStorage.revocations.list({
+        rootTarget,
+        delegator,
+        explain: true
+      });
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage.inputStage
+        .keyPattern.should.eql({
+          'meta.rootTarget': 1, 'meta.delegator': 1, 'capability.id': 1
+        });
+    });
   });
 });
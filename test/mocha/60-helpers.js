@@ -2,6 +2,7 @@
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brZcapStorage from '@bedrock/zcap-storage';
+import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
 import {mocks as mockData} from './mock-data.js';
 
@@ -41,6 +42,51 @@ describe('helpers API', () => {
       result.valid.should.be.false;
       result.error.message.should.equal(
         'One or more capabilities in the chain have been revoked.');
+      result.error.name.should.equal('CapabilityRevokedError');
+      result.error.details.capabilityId.should.equal(revocation.capability.id);
+      result.error.details.chainIndex.should.equal(1);
+    });
+    it('returns a verdict for each capability in the chain', async () => {
+      const {
+        capabilityChain, capabilityChainMeta
+      } = _createMinimalCapabilityChainParams({
+        revocation: [
+          {
+            ...revocation2,
+            capability: {
+              id: revocation2.capability.id + '-not-revoked-1'
+            }
+          },
+          revocation2
+        ]
+      });
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.helpers.inspectCapabilityChain({
+          capabilityChain, capabilityChainMeta
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.valid.should.be.false;
+      result.error.name.should.equal('CapabilityRevokedError');
+      result.error.details.capabilityId.should.equal(
+        revocation2.capability.id);
+      result.error.details.delegator.should.equal(revocation2.delegator);
+      result.error.details.chainIndex.should.equal(2);
+      const {chain} = result.verdict;
+      chain.should.have.length(3);
+      chain.map(({index}) => index).should.deep.equal([0, 1, 2]);
+      chain.map(({revoked}) => revoked).should.deep.equal([false, false, true]);
+      chain.map(({expired}) => expired).should.deep.equal(
+        [false, false, false]);
+      should.not.exist(chain[0].delegator);
+      chain[2].capabilityId.should.equal(revocation2.capability.id);
+      chain[2].delegator.should.equal(revocation2.delegator);
+      should.not.exist(chain[2].policy);
     });
     it('returns valid=true on unrevoked delegator', async () => {
       const {
@@ -66,6 +112,28 @@ describe('helpers API', () => {
       result.valid.should.be.a('boolean');
       result.valid.should.be.true;
     });
+    it('returns revoked=null for a zcap without a delegator', async () => {
+      const {
+        capabilityChain, capabilityChainMeta
+      } = _createMinimalCapabilityChainParams({revocation});
+      // no delegator means the zcap is not checked for revocation
+      capabilityChainMeta[1].verifyResult.results[0].purposeResult = {};
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.helpers.inspectCapabilityChain({
+          capabilityChain, capabilityChainMeta
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.valid.should.be.true;
+      const {chain} = result.verdict;
+      chain.map(({revoked}) => revoked).should.deep.equal([false, null]);
+      should.not.exist(chain[1].delegator);
+    });
     it('returns valid=true on unrevoked id', async () => {
       const {
         capabilityChain, capabilityChainMeta
@@ -167,6 +235,303 @@ describe('helpers API', () => {
       result2.error.message.should.equal(
         'One or more capabilities in the chain have been revoked.');
     });
+    it('skips revocation checks for short-lived capabilities', async () => {
+      const expires = new Date(Date.now() + 60 * 1000).toISOString();
+      const {
+        capabilityChain, capabilityChainMeta
+      } = _createMinimalCapabilityChainParams({
+        revocation: {
+          ...revocation,
+          capability: {...revocation.capability, expires}
+        }
+      });
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.helpers.inspectCapabilityChain({
+          capabilityChain, capabilityChainMeta,
+          shortLivedThreshold: 5 * 60 * 1000
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.true;
+      result.skippedRevocationChecks.should.deep.equal([{
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator
+      }]);
+    });
+    it('checks revocation for capabilities beyond the threshold', async () => {
+      const expires = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      const {
+        capabilityChain, capabilityChainMeta
+      } = _createMinimalCapabilityChainParams({
+        revocation: {
+          ...revocation,
+          capability: {...revocation.capability, expires}
+        }
+      });
+      let result;
+      let err;
+      try {
+        result = await brZcapStorage.helpers.inspectCapabilityChain({
+          capabilityChain, capabilityChainMeta,
+          shortLivedThreshold: 5 * 60 * 1000
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.valid.should.be.a('boolean');
+      result.valid.should.be.false;
+      result.skippedRevocationChecks.should.have.length(0);
+    });
+    describe('with delegation policies', () => {
+      const delegate = 'urn:uuid:5f0fbd52-cd55-4b7e-9a8a-2b2bd5ad1b6c';
+      before(async () => {
+        const collectionName = 'zcap-storage-policy';
+        await helpers.removeCollection(collectionName);
+
+        await brZcapStorage.policies.insert({
+          policy: {
+            sequence: 0,
+            controller: revocation.delegator,
+            delegate,
+            refresh: false,
+            delegation: false
+          }
+        });
+      });
+      it('returns valid=false when a policy forbids a delegation',
+        async () => {
+          const {
+            capabilityChain, capabilityChainMeta
+          } = _createMinimalCapabilityChainParams({
+            revocation: {
+              ...revocation,
+              capability: {
+                // an unrevoked id
+                id: '1e3c0a43-9f2e-4f4e-bb5a-5a7a4c8a9e21',
+                controller: delegate
+              }
+            }
+          });
+          let result;
+          let err;
+          try {
+            result = await brZcapStorage.helpers.inspectCapabilityChain({
+              capabilityChain, capabilityChainMeta
+            });
+          } catch(e) {
+            err = e;
+          }
+          assertNoError(err);
+          should.exist(result);
+          result.valid.should.be.a('boolean');
+          result.valid.should.be.false;
+          result.error.message.should.contain('delegation policy');
+          result.error.name.should.equal('CapabilityPolicyViolationError');
+          result.error.details.delegate.should.equal(delegate);
+          const {policy} = result.verdict.chain[1];
+          policy.allowed.should.equal(false);
+          policy.controller.should.equal(revocation.delegator);
+          policy.delegate.should.equal(delegate);
+        });
+      it('returns valid=true when no policy applies', async () => {
+        const {
+          capabilityChain, capabilityChainMeta
+        } = _createMinimalCapabilityChainParams({
+          revocation: {
+            ...revocation,
+            capability: {
+              // an unrevoked id
+              id: '1e3c0a43-9f2e-4f4e-bb5a-5a7a4c8a9e21',
+              // a delegate without a policy
+              controller: 'urn:uuid:0b8d8c1a-c6a2-4b0a-8f9e-3c2d3b3a1f4e'
+            }
+          }
+        });
+        let result;
+        let err;
+        try {
+          result = await brZcapStorage.helpers.inspectCapabilityChain({
+            capabilityChain, capabilityChainMeta
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.valid.should.be.a('boolean');
+        result.valid.should.be.true;
+      });
+      it('does not query for a missing policy again', async () => {
+        const {
+          capabilityChain, capabilityChainMeta
+        } = _createMinimalCapabilityChainParams({
+          revocation: {
+            ...revocation,
+            capability: {
+              // an unrevoked id
+              id: '7f2b9c4e-1a3d-4e5f-8b6a-0c9d8e7f6a5b',
+              // a delegate without a policy
+              controller: 'urn:uuid:3e5a7c9b-2d4f-4a6c-9e8b-1f3d5a7c9e0b'
+            }
+          }
+        });
+        // the first inspection caches that there is no policy
+        await brZcapStorage.helpers.inspectCapabilityChain({
+          capabilityChain, capabilityChainMeta
+        });
+
+        // count the policy queries of the second inspection
+        const collection = database.collections['zcap-storage-policy'];
+        let queries = 0;
+        for(const method of ['find', 'findOne']) {
+          collection[method] = (...args) => {
+            queries++;
+            return Object.getPrototypeOf(collection)[method].apply(
+              collection, args);
+          };
+        }
+        let result;
+        let err;
+        try {
+          result = await brZcapStorage.helpers.inspectCapabilityChain({
+            capabilityChain, capabilityChainMeta
+          });
+        } catch(e) {
+          err = e;
+        } finally {
+          delete collection.find;
+          delete collection.findOne;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.valid.should.be.true;
+        queries.should.equal(0);
+      });
+    });
+    describe('with wildcard revocations', () => {
+      const rootTarget = 'https://example.com/edvs/wildcard';
+      before(async () => {
+        await brZcapStorage.revocations.insertWildcard({
+          rootTarget,
+          notBefore: '2026-01-01T00:00:00Z'
+        });
+      });
+      after(async () => {
+        await brZcapStorage.revocations.removeWildcard({rootTarget});
+      });
+      it('returns valid=false for a zcap revoked by a wildcard', async () => {
+        const {
+          capabilityChain, capabilityChainMeta
+        } = _createMinimalCapabilityChainParams({
+          revocation: {
+            ...revocation,
+            rootTarget,
+            capability: {
+              // an individually unrevoked id
+              id: 'urn:uuid:0a6e3f0c-9d0b-4a2f-9f5e-8f5d0c7b1e2a',
+              proof: {
+                proofPurpose: 'capabilityDelegation',
+                created: '2025-12-31T00:00:00Z'
+              }
+            }
+          }
+        });
+        let result;
+        let err;
+        try {
+          result = await brZcapStorage.helpers.inspectCapabilityChain({
+            capabilityChain, capabilityChainMeta
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.valid.should.be.a('boolean');
+        result.valid.should.be.false;
+        result.error.name.should.equal('CapabilityRevokedError');
+        result.verdict.chain[1].revoked.should.equal(true);
+      });
+      it('returns valid=true for a zcap created after the wildcard ' +
+        `'notBefore' date`, async () => {
+        const {
+          capabilityChain, capabilityChainMeta
+        } = _createMinimalCapabilityChainParams({
+          revocation: {
+            ...revocation,
+            rootTarget,
+            capability: {
+              // an individually unrevoked id
+              id: 'urn:uuid:0a6e3f0c-9d0b-4a2f-9f5e-8f5d0c7b1e2a',
+              proof: {
+                proofPurpose: 'capabilityDelegation',
+                created: '2026-01-02T00:00:00Z'
+              }
+            }
+          }
+        });
+        let result;
+        let err;
+        try {
+          result = await brZcapStorage.helpers.inspectCapabilityChain({
+            capabilityChain, capabilityChainMeta
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.valid.should.be.a('boolean');
+        result.valid.should.be.true;
+      });
+      it('returns valid=false for a short-lived zcap from a delegator ' +
+        'revoked by a wildcard', async () => {
+        // a delegator without any individual revocations
+        const delegator = 'urn:uuid:9b1f8e2a-4c3d-4e6f-8a7b-2d5c1e0f3a4b';
+        await brZcapStorage.revocations.insertWildcard({delegator});
+        const expires = new Date(Date.now() + 60 * 1000).toISOString();
+        const {
+          capabilityChain, capabilityChainMeta
+        } = _createMinimalCapabilityChainParams({
+          revocation: {
+            ...revocation,
+            delegator,
+            capability: {
+              id: 'urn:uuid:6d2c4b1a-8e7f-4a3b-9c0d-1e2f3a4b5c6d',
+              expires
+            }
+          }
+        });
+        let result;
+        let err;
+        try {
+          result = await brZcapStorage.helpers.inspectCapabilityChain({
+            capabilityChain, capabilityChainMeta,
+            shortLivedThreshold: 5 * 60 * 1000
+          });
+        } catch(e) {
+          err = e;
+        } finally {
+          await brZcapStorage.revocations.removeWildcard({delegator});
+        }
+        assertNoError(err);
+        should.exist(result);
+        result.valid.should.be.a('boolean');
+        result.valid.should.be.false;
+        result.error.name.should.equal('CapabilityRevokedError');
+        result.error.details.delegator.should.equal(delegator);
+        result.verdict.chain[1].revoked.should.equal(true);
+        result.skippedRevocationChecks.should.have.length(1);
+      });
+    });
   });
 });
 
@@ -175,7 +540,8 @@ function _createMinimalCapabilityChainParams({revocation}) {
 
   const capabilityChain = [{
     // root zcap
-    id: `urn:zcap:root:${encodeURIComponent(revocations[0].rootTarget)}`
+    id: `urn:zcap:root:${encodeURIComponent(revocations[0].rootTarget)}`,
+    invocationTarget: revocations[0].rootTarget
   }];
   const capabilityChainMeta = [{
     // root zcap metadata
@@ -183,7 +549,10 @@ function _createMinimalCapabilityChainParams({revocation}) {
   }];
   for(let i = 0; i < revocations.length; ++i) {
     capabilityChain.push({
-      id: revocations[i].capability.id
+      id: revocations[i].capability.id,
+      controller: revocations[i].capability.controller,
+      expires: revocations[i].capability.expires,
+      proof: revocations[i].capability.proof
     });
     // minimal delegated zcap metadata
     capabilityChainMeta.push({
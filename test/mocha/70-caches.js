@@ -0,0 +1,383 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brZcapStorage from '@bedrock/zcap-storage';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {EventEmitter} from 'node:events';
+import {mocks as mockData} from './mock-data.js';
+
+describe('caches API', () => {
+  describe('getStats', () => {
+    it('returns the stats of each cache', async () => {
+      let err;
+      let result;
+      try {
+        result = brZcapStorage.caches.getStats();
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.have.keys([
+        'policy', 'policyNotFound', 'revocation', 'zcap', 'zcapNotFound'
+      ]);
+      for(const stats of Object.values(result)) {
+        stats.should.have.keys([
+          'size', 'max', 'ttl', 'hits', 'misses', 'evictions'
+        ]);
+      }
+    });
+  });
+  describe('clear', () => {
+    let zcap;
+    beforeEach(async () => {
+      await helpers.removeCollection('zcap-storage-zcap');
+      zcap = structuredClone(mockData.zcaps.alpha);
+      await brZcapStorage.zcaps.insert(structuredClone(zcap));
+      await brZcapStorage.zcaps.get({
+        controller: zcap.controller, id: zcap.capability.id
+      });
+    });
+    it('clears every cache', async () => {
+      let err;
+      try {
+        await brZcapStorage.caches.clear();
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      const stats = brZcapStorage.caches.getStats();
+      for(const {size} of Object.values(stats)) {
+        size.should.equal(0);
+      }
+    });
+    it('clears selected entries of a cache', async () => {
+      const {controller, capability} = zcap;
+      const before = brZcapStorage.caches.getStats().zcap;
+      before.size.should.be.at.least(1);
+      let err;
+      try {
+        await brZcapStorage.caches.clear({
+          names: ['zcap'],
+          entries: [{controller, id: capability.id}]
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      const after = brZcapStorage.caches.getStats().zcap;
+      after.size.should.equal(before.size - 1);
+
+      // the zcap is no longer served from the cache
+      await brZcapStorage.zcaps.get({controller, id: capability.id});
+      const stats = brZcapStorage.caches.getStats().zcap;
+      (stats.misses - after.misses).should.equal(1);
+    });
+    it('throws TypeError when "entries" is given without "names"',
+      async () => {
+        let err;
+        try {
+          await brZcapStorage.caches.clear({entries: [{}]});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+  });
+  describe('reportStats', () => {
+    let reported = [];
+    before(() => {
+      bedrock.events.on('bedrock-zcap-storage.caches.stats', ({stats}) => {
+        reported.push(stats);
+      });
+    });
+    beforeEach(() => {
+      reported = [];
+    });
+    it('emits the stats of each cache', async () => {
+      let err;
+      let result;
+      try {
+        result = await brZcapStorage.caches.reportStats();
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      reported.should.have.length(1);
+      reported[0].should.eql(result);
+      result.should.have.keys([
+        'policy', 'policyNotFound', 'revocation', 'zcap', 'zcapNotFound'
+      ]);
+    });
+  });
+  describe('setInvalidationTransport', () => {
+    let published;
+    let transport;
+    beforeEach(async () => {
+      const collectionName = 'zcap-storage-revocation';
+      await helpers.removeCollection(collectionName);
+
+      // a transport that delivers every published invalidation back to this
+      // instance as if it were another instance
+      published = [];
+      transport = {
+        async start({evict}) {
+          transport.evict = evict;
+        },
+        async publish(message) {
+          published.push(message);
+        }
+      };
+      await brZcapStorage.caches.setInvalidationTransport({transport});
+    });
+    afterEach(async () => {
+      await brZcapStorage.caches.setInvalidationTransport({transport: null});
+    });
+    it('publishes invalidations when a revocation is inserted', async () => {
+      const revocation = structuredClone(mockData.revocations.alpha);
+      let err;
+      try {
+        await brZcapStorage.revocations.insert(revocation);
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      published.should.have.length(1);
+      published[0].name.should.equal('revocation');
+      published[0].keys.should.have.length(1);
+    });
+    it('evicts revocation cache entries invalidated elsewhere', async () => {
+      const revocation = structuredClone(mockData.revocations.alpha);
+      const capabilities = [{
+        capabilityId: revocation.capability.id,
+        delegator: revocation.delegator
+      }];
+
+      // get the invalidation message for the revocation and withdraw it
+      await brZcapStorage.revocations.insert(revocation);
+      const [message] = published;
+      await brZcapStorage.revocations.remove({
+        delegator: revocation.delegator,
+        capabilityId: revocation.capability.id,
+        withdrawnBy: revocation.delegator,
+        reason: 'Testing.'
+      });
+      let isRevoked = await brZcapStorage.revocations.isRevoked({
+        capabilities
+      });
+      isRevoked.should.equal(false);
+
+      // simulate another instance inserting the revocation
+      const collection = database.collections['zcap-storage-revocation'];
+      await collection.insertOne({
+        capability: revocation.capability,
+        meta: {
+          created: Date.now(),
+          updated: Date.now(),
+          delegator: revocation.delegator,
+          rootTarget: revocation.rootTarget
+        }
+      });
+      isRevoked = await brZcapStorage.revocations.isRevoked({capabilities});
+      isRevoked.should.equal(false);
+
+      // receive its invalidation
+      transport.evict(message);
+      isRevoked = await brZcapStorage.revocations.isRevoked({capabilities});
+      isRevoked.should.equal(true);
+    });
+    it('publishes invalidations when a zcap is removed', async () => {
+      await helpers.removeCollection('zcap-storage-zcap');
+      const {controller, referenceId} = mockData.zcaps.alpha;
+      await brZcapStorage.zcaps.insert(structuredClone(mockData.zcaps.alpha));
+      published = [];
+      let err;
+      try {
+        await brZcapStorage.zcaps.remove({controller, referenceId});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      published.should.have.length(1);
+      published[0].name.should.equal('zcap');
+      published[0].keys.should.have.length(1);
+    });
+    it('evicts policy cache entries invalidated elsewhere', async () => {
+      await helpers.removeCollection('zcap-storage-policy');
+      const policy = structuredClone(mockData.policies.alpha);
+      const {controller, delegate} = policy;
+
+      // get the invalidation message for the policy
+      await brZcapStorage.policies.insert({policy});
+      const message = published.find(({name}) => name === 'policy');
+      should.exist(message);
+      let record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(0);
+
+      // simulate another instance updating the policy
+      const collection = database.collections['zcap-storage-policy'];
+      await collection.updateOne({
+        'policy.controller': controller,
+        'policy.delegate': delegate
+      }, {$set: {'policy.sequence': 1}});
+      record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(0);
+
+      // receive its invalidation
+      transport.evict(message);
+      record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(1);
+    });
+  });
+  describe('createChangeStreamTransport', () => {
+    let streams;
+    beforeEach(async () => {
+      await helpers.removeCollection('zcap-storage-policy');
+      // replace change streams with streams that can be closed on demand as
+      // the test database may not be a replica set
+      streams = [];
+      for(const [collectionName, collection] of Object.entries(
+        database.collections)) {
+        collection.watch = () => {
+          const stream = new EventEmitter();
+          stream.collectionName = collectionName;
+          stream.close = async () => {
+            stream.emit('close');
+          };
+          streams.push(stream);
+          return stream;
+        };
+      }
+      const transport = brZcapStorage.caches.createChangeStreamTransport({
+        minRetryDelay: 10
+      });
+      await brZcapStorage.caches.setInvalidationTransport({transport});
+    });
+    afterEach(async () => {
+      await brZcapStorage.caches.setInvalidationTransport({transport: null});
+      for(const collection of Object.values(database.collections)) {
+        delete collection.watch;
+      }
+    });
+    it('evicts cache entries and reopens a closed change stream', async () => {
+      const policy = structuredClone(mockData.policies.alpha);
+      const {controller, delegate} = policy;
+      await brZcapStorage.policies.insert({policy});
+      let record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(0);
+
+      // simulate another instance updating the policy while the change
+      // stream fails
+      const collection = database.collections['zcap-storage-policy'];
+      await collection.updateOne({
+        'policy.controller': controller,
+        'policy.delegate': delegate
+      }, {$set: {'policy.sequence': 1}});
+      const stream = streams.find(
+        ({collectionName}) => collectionName === 'zcap-storage-policy');
+      should.exist(stream);
+      const count = streams.length;
+      stream.emit('error', new Error('Non-resumable change stream error.'));
+      stream.emit('close');
+
+      // the policy cache is cleared when the stream is lost
+      record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(1);
+
+      // wait for the stream to be reopened
+      await new Promise(resolve => setTimeout(resolve, 50));
+      streams.should.have.length(count + 1);
+      streams[count].collectionName.should.equal('zcap-storage-policy');
+    });
+    it('evicts not found zcap entries when a zcap is updated elsewhere',
+      async () => {
+        await helpers.removeCollection('zcap-storage-zcap');
+        const {controller} = mockData.zcaps.alpha;
+        await brZcapStorage.zcaps.insert(structuredClone(mockData.zcaps.alpha));
+        const id = 'urn:zcap:6f1e2d3c-4b5a-4c9d-8e7f-0a1b2c3d4e5f';
+        const getZcap = async () => {
+          try {
+            return await brZcapStorage.zcaps.get({controller, id});
+          } catch(e) {
+            return e;
+          }
+        };
+        let result = await getZcap();
+        result.name.should.equal('NotFoundError');
+
+        // simulate another instance updating the zcap to the new ID
+        const collection = database.collections['zcap-storage-zcap'];
+        await collection.updateOne({
+          controller: database.hash(controller),
+          referenceId: database.hash(mockData.zcaps.alpha.referenceId)
+        }, {$set: {id: database.hash(id), 'capability.id': id}});
+        result = await getZcap();
+        result.name.should.equal('NotFoundError');
+
+        // receive its change event on every stream watching zcaps
+        const fullDocument = await collection.findOne(
+          {id: database.hash(id)}, {projection: {_id: 0}});
+        const zcapStreams = streams.filter(
+          ({collectionName}) => collectionName === 'zcap-storage-zcap');
+        zcapStreams.should.not.have.length(0);
+        for(const stream of zcapStreams) {
+          stream.emit('change', {operationType: 'update', fullDocument});
+        }
+        result = await getZcap();
+        should.exist(result.capability);
+        result.capability.id.should.equal(id);
+      });
+  });
+  describe('createPollingTransport', () => {
+    const interval = 100;
+    beforeEach(async () => {
+      await helpers.removeCollection('zcap-storage-policy');
+      await helpers.removeCollection('zcap-storage-cache-invalidation');
+      const transport = brZcapStorage.caches.createPollingTransport({
+        interval
+      });
+      await brZcapStorage.caches.setInvalidationTransport({transport});
+    });
+    afterEach(async () => {
+      await brZcapStorage.caches.setInvalidationTransport({transport: null});
+    });
+    it('evicts cache entries invalidated elsewhere', async () => {
+      const policy = structuredClone(mockData.policies.alpha);
+      const {controller, delegate} = policy;
+
+      // get the invalidation published for the policy
+      await brZcapStorage.policies.insert({policy});
+      const invalidations = database.collections[
+        'zcap-storage-cache-invalidation'];
+      const {_id, ...published} = await invalidations.findOne({
+        'invalidation.name': 'policy'
+      });
+      await invalidations.deleteOne({_id});
+      // wait for any poll in progress that could still see it
+      await new Promise(resolve => setTimeout(resolve, interval * 2));
+      let record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(0);
+
+      // simulate another instance updating the policy and publishing its
+      // invalidation
+      const collection = database.collections['zcap-storage-policy'];
+      await collection.updateOne({
+        'policy.controller': controller,
+        'policy.delegate': delegate
+      }, {$set: {'policy.sequence': 1}});
+      record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(0);
+      published.meta.created = Date.now();
+      await invalidations.insertOne(published);
+
+      // wait for the invalidation to be polled
+      await new Promise(resolve => setTimeout(resolve, interval * 3));
+      record = await brZcapStorage.policies.get({controller, delegate});
+      record.policy.sequence.should.equal(1);
+    });
+  });
+});
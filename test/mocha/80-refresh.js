@@ -0,0 +1,232 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brZcapStorage from '@bedrock/zcap-storage';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {mocks as mockData} from './mock-data.js';
+
+describe('refresh API', () => {
+  let zcap;
+  let refreshed;
+  let calls;
+  beforeEach(async () => {
+    await helpers.removeCollection('zcap-storage-zcap');
+    await helpers.removeCollection('zcap-storage-policy');
+    zcap = structuredClone(mockData.zcaps.beta);
+    await brZcapStorage.zcaps.insert(structuredClone(zcap));
+
+    refreshed = {
+      ...zcap.capability,
+      id: 'urn:zcap:5e2a8c4f-1b7d-4d3e-9a6c-8f0b2d4e6a13',
+      expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    };
+    calls = [];
+    brZcapStorage.refresh.setRefresher({
+      async refresher(options) {
+        calls.push(options);
+        return refreshed;
+      }
+    });
+  });
+  afterEach(async () => {
+    brZcapStorage.refresh.setRefresher({refresher: null});
+  });
+  it('refreshes a zcap nearing expiration', async () => {
+    const {controller, referenceId, capability} = zcap;
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps();
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.refreshedCount.should.equal(1);
+    result.results.should.eql([{
+      controller, referenceId, capabilityId: capability.id,
+      status: 'refreshed'
+    }]);
+    calls.should.have.length(1);
+    calls[0].capability.should.eql(capability);
+    calls[0].delegator.should.equal(mockData.actors.beta.id);
+    should.equal(calls[0].policy, null);
+
+    const record = await brZcapStorage.zcaps.get({controller, referenceId});
+    record.capability.should.eql(refreshed);
+    record.meta.sequence.should.equal(1);
+  });
+  it('refreshes a zcap whose expiration has a time zone offset', async () => {
+    const {controller, capability} = zcap;
+    // expires within the refresh threshold but, as a string, sorts after
+    // its UTC string
+    const expires = new Date(Date.now() + 23 * 60 * 60 * 1000);
+    const referenceId = 'urn:uuid:7c3e1a9b-2d4f-4b6a-8e0c-5f1d3b7a9c2e';
+    await brZcapStorage.zcaps.insert({
+      controller,
+      referenceId,
+      capability: {
+        ...capability,
+        id: 'urn:zcap:9a7c5e3b-1d2f-4a6c-8e0b-3d5f7a9c1e2b',
+        expires: _toOffsetString({date: expires, offsetHours: 14})
+      }
+    });
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps();
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.results.map(({referenceId}) => referenceId).should.include(
+      referenceId);
+  });
+  it('does not refresh a zcap whose policy forbids refresh', async () => {
+    const policy = {
+      sequence: 0,
+      controller: mockData.actors.beta.id,
+      delegate: mockData.actors.alpha.id,
+      refresh: false
+    };
+    await brZcapStorage.policies.insert({policy});
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps();
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.refreshedCount.should.equal(0);
+    result.results.should.have.length(1);
+    result.results[0].status.should.equal('skipped');
+    calls.should.have.length(0);
+  });
+  it('does not refresh a zcap before "maxTtlBeforeRefresh"', async () => {
+    // the zcap expires in an hour; refresh is only permitted within a second
+    const policy = structuredClone(mockData.policies.beta);
+    await brZcapStorage.policies.insert({policy});
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps();
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.refreshedCount.should.equal(0);
+    result.results[0].status.should.equal('skipped');
+    calls.should.have.length(0);
+  });
+  it('does not store a refreshed zcap that violates its policy', async () => {
+    const policy = {
+      sequence: 0,
+      controller: mockData.actors.beta.id,
+      delegate: mockData.actors.alpha.id,
+      refresh: {
+        constraints: {
+          allowedActions: ['sign']
+        }
+      }
+    };
+    await brZcapStorage.policies.insert({policy});
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps();
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.refreshedCount.should.equal(0);
+    result.results[0].status.should.equal('skipped');
+    calls.should.have.length(1);
+
+    const {controller, referenceId, capability} = zcap;
+    const record = await brZcapStorage.zcaps.get({controller, referenceId});
+    record.capability.should.eql(capability);
+  });
+  it('does not retry a zcap that failed to refresh', async () => {
+    brZcapStorage.refresh.setRefresher({
+      async refresher() {
+        throw new Error('Refresh failed.');
+      }
+    });
+    let result = await brZcapStorage.refresh.refreshZcaps();
+    result.results.should.have.length(1);
+    result.results[0].status.should.equal('failed');
+    result.results[0].error.message.should.equal('Refresh failed.');
+
+    // the zcap is not tried again until the retry interval has passed
+    result = await brZcapStorage.refresh.refreshZcaps();
+    result.results.should.have.length(0);
+  });
+  it('does not try to refresh expired zcaps', async () => {
+    const {controller, referenceId, capability} = zcap;
+    // an expired zcap would be tried first as it expires soonest
+    await brZcapStorage.zcaps.insert({
+      controller,
+      referenceId: 'urn:uuid:9a7e5c3b-1d2f-4a6b-8c0e-2f4a6c8e0b13',
+      capability: {
+        ...capability,
+        id: 'urn:zcap:1b3d5f7a-9c2e-4d6f-8a0b-3c5e7a9b1d24',
+        expires: new Date(Date.now() - 1000).toISOString()
+      }
+    });
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps({limit: 1});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.results.should.eql([{
+      controller, referenceId, capabilityId: capability.id,
+      status: 'refreshed'
+    }]);
+  });
+  it('refreshes zcaps stored by earlier versions once recomputed',
+    async () => {
+      const {controller, referenceId} = zcap;
+      // simulate a zcap stored by an earlier version
+      const collection = database.collections['zcap-storage-zcap'];
+      await collection.updateOne({
+        controller: helpers.hash(controller),
+        referenceId: helpers.hash(referenceId)
+      }, {$unset: {'meta.expires': ''}});
+      let result = await brZcapStorage.refresh.refreshZcaps();
+      result.results.should.have.length(0);
+
+      await brZcapStorage.zcaps.recomputeExpirations();
+      result = await brZcapStorage.refresh.refreshZcaps();
+      result.refreshedCount.should.equal(1);
+    });
+  it('throws when no refresher is set', async () => {
+    brZcapStorage.refresh.setRefresher({refresher: null});
+    let err;
+    let result;
+    try {
+      result = await brZcapStorage.refresh.refreshZcaps();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+  });
+});
+
+// formats a date as an ISO 8601 date with a time zone offset
+function _toOffsetString({date, offsetHours}) {
+  const local = new Date(date.getTime() + offsetHours * 60 * 60 * 1000);
+  const sign = offsetHours < 0 ? '-' : '+';
+  const hours = String(Math.abs(offsetHours)).padStart(2, '0');
+  return `${local.toISOString().slice(0, 19)}${sign}${hours}:00`;
+}
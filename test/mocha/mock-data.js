@@ -13,6 +13,8 @@ const zcaps = mocks.zcaps = {};
 const tomorrow = new Date();
 tomorrow.setDate(tomorrow.getDate() + 1);
 
+const inOneHour = new Date(Date.now() + 60 * 60 * 1000);
+
 actors.alpha = {
   id: 'urn:uuid:ec6bcc36-e7ab-46e9-aebb-ab57caee4fbe'
 };
@@ -104,6 +106,19 @@ policies.beta = {
   }
 };
 
+policies.gamma = {
+  sequence: 0,
+  controller: actors.alpha.id,
+  delegate: actors.beta.id,
+  refresh: false,
+  delegation: {
+    constraints: {
+      allowedActions: ['read'],
+      maxTtl: 24 * 60 * 60 * 1000
+    }
+  }
+};
+
 revocations.alpha = {
   // this is for a service object ID such as the ID of a keystore/EDV/etc.
   rootTarget: 'https://example.com/edvs/123',
@@ -148,3 +163,24 @@ zcaps.alpha = {
     }
   }
 };
+
+// a zcap delegated by `beta` to `alpha` that expires soon
+zcaps.beta = {
+  referenceId: 'urn:uuid:2f8e6c1a-9d4b-4e7f-a3c5-6b1d8e2f4a79',
+  controller: actors.alpha.id,
+  capability: {
+    '@context': 'https://w3id.org/zcap/v1',
+    id: 'urn:zcap:b7d3e9f1-4c2a-4f6e-8d1b-5a9c3e7f2d64',
+    controller: actors.alpha.id,
+    parentCapability:
+      'https://example.com/edvs/e4c9a1b3-7f2d-4a8e-9c6b-1d3f5e7a9c2b',
+    allowedAction: 'read',
+    invocationTarget:
+      'https://example.com/edvs/e4c9a1b3-7f2d-4a8e-9c6b-1d3f5e7a9c2b',
+    expires: inOneHour.toISOString(),
+    proof: {
+      proofPurpose: 'capabilityDelegation',
+      verificationMethod: `${actors.beta.id}#key`
+    }
+  }
+};
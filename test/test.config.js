@@ -17,3 +17,7 @@ config.mongodb.port = 27017;
 config.mongodb.dropCollections = {};
 config.mongodb.dropCollections.onInit = true;
 config.mongodb.dropCollections.collections = [];
+
+// enable caching of zcaps and policies that were not found
+config['zcap-storage'].caches.zcapNotFound = {max: 1000, ttl: 30 * 1000};
+config['zcap-storage'].caches.policyNotFound = {max: 1000, ttl: 30 * 1000};